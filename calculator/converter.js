@@ -0,0 +1,131 @@
+/**
+ * Calculator Unit Converter
+ * Table validation and exact unit and currency conversion
+ */
+
+import {
+  addDecimals,
+  divideDecimals,
+  multiplyDecimals,
+  parseDecimal,
+  subtractDecimals,
+} from "./decimal.js";
+
+// ===== Converter Tables =====
+
+/**
+ * Parse a conversion factor, either a decimal ("0.3048") or a ratio ("5/9")
+ */
+export function parseFactor(text) {
+  const [numerator, denominator = "1"] = String(text).split("/");
+  const parsed = { numerator: parseDecimal(numerator), denominator: parseDecimal(denominator) };
+
+  if (!parsed.numerator || !parsed.denominator || parsed.numerator.coefficient <= 0n ||
+      parsed.denominator.coefficient <= 0n) {
+    return null;
+  }
+  return parsed;
+}
+
+/**
+ * Check that a units table has categories of units with valid factors
+ */
+export function validateUnitsTable(table) {
+  if (!table || typeof table !== "object" || Array.isArray(table)) {
+    throw new Error("Units table must be an object of categories");
+  }
+
+  Object.entries(table).forEach(([categoryKey, category]) => {
+    if (!category || !category.units || typeof category.units !== "object" ||
+        !Object.keys(category.units).length) {
+      throw new Error(`Category "${categoryKey}" needs at least one unit`);
+    }
+
+    Object.entries(category.units).forEach(([unitKey, unit]) => {
+      if (!unit || typeof unit !== "object" || Array.isArray(unit)) {
+        throw new Error(`Unit "${unitKey}" is invalid`);
+      }
+      if (!parseFactor(unit.factor)) {
+        throw new Error(`Unit "${unitKey}" has an invalid factor`);
+      }
+      if (unit.offset !== undefined && !parseDecimal(unit.offset)) {
+        throw new Error(`Unit "${unitKey}" has an invalid offset`);
+      }
+    });
+  });
+}
+
+/**
+ * Check that a currency table has a base currency and positive rates
+ */
+export function validateCurrencyTable(table) {
+  if (!table || !table.rates || typeof table.rates !== "object" || !Object.keys(table.rates).length) {
+    throw new Error("Currency table needs a \"rates\" object");
+  }
+
+  Object.entries(table.rates).forEach(([code, rate]) => {
+    const parsed = parseDecimal(rate);
+    if (!parsed || parsed.coefficient <= 0n) {
+      throw new Error(`Currency "${code}" has an invalid rate`);
+    }
+  });
+}
+
+/**
+ * Validate a converter table by name
+ */
+export function validateConverterTable(name, table) {
+  if (name === "currency") validateCurrencyTable(table);
+  else validateUnitsTable(table);
+}
+
+/**
+ * Get all converter categories, including currency built from the rate table
+ */
+export function buildConverterCategories(tables) {
+  const categories = { ...(tables.units || {}) };
+
+  if (tables.currency) {
+    const units = {};
+    Object.entries(tables.currency.rates).forEach(([code, rate]) => {
+      units[code] = { label: code, rate };
+    });
+    categories.currency = { label: "Currency", units };
+  }
+
+  return categories;
+}
+
+// ===== Conversion =====
+
+/**
+ * Convert a decimal between two units of the same category, dividing to a number of places
+ */
+export function convertUnits(value, fromUnit, toUnit, places, roundingMode) {
+  // Currency rates are "units per base currency"
+  if (fromUnit.rate !== undefined) {
+    const baseAmount = divideDecimals(value, parseDecimal(fromUnit.rate), places, roundingMode);
+    return multiplyDecimals(baseAmount, parseDecimal(toUnit.rate));
+  }
+
+  // Other units: base = (value + offset) × factor
+  const from = parseFactor(fromUnit.factor);
+  const to = parseFactor(toUnit.factor);
+  const fromOffset = parseDecimal(fromUnit.offset ?? "0");
+  const toOffset = parseDecimal(toUnit.offset ?? "0");
+
+  const baseValue = divideDecimals(
+    multiplyDecimals(addDecimals(value, fromOffset), from.numerator),
+    from.denominator,
+    places,
+    roundingMode
+  );
+  const converted = divideDecimals(
+    multiplyDecimals(baseValue, to.denominator),
+    to.numerator,
+    places,
+    roundingMode
+  );
+
+  return subtractDecimals(converted, toOffset);
+}
@@ -0,0 +1,58 @@
+/**
+ * Calculator Converter Table Tests
+ * Run with: node --test calculator/
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { validateConverterTable, validateUnitsTable } from "./converter.js";
+
+const LENGTH_UNITS = {
+  m: { label: "Meter", factor: "1" },
+  ft: { label: "Foot", factor: "0.3048" },
+};
+
+/**
+ * Assert that a table fails validation with a plain Error carrying the given message
+ */
+function assertInvalid(validate, message) {
+  assert.throws(validate, (error) => error.constructor === Error && error.message === message);
+}
+
+// ===== Units Tables =====
+
+test("accepts a units table with valid factors and offsets", () => {
+  assert.doesNotThrow(() => validateUnitsTable({
+    length: { label: "Length", units: LENGTH_UNITS },
+    temperature: { label: "Temperature", units: { c: { factor: "1", offset: "273.15" }, f: { factor: "5/9" } } },
+  }));
+});
+
+test("rejects null and non-object units with a validation error", () => {
+  [null, 5, "1", []].forEach((unit) => {
+    assertInvalid(
+      () => validateUnitsTable({ length: { label: "Length", units: { ...LENGTH_UNITS, yd: unit } } }),
+      'Unit "yd" is invalid',
+    );
+  });
+});
+
+test("rejects categories without units", () => {
+  [null, { units: null }, { units: {} }, { units: "m" }].forEach((category) => {
+    assertInvalid(() => validateUnitsTable({ length: category }), 'Category "length" needs at least one unit');
+  });
+});
+
+test("rejects invalid factors and offsets", () => {
+  assertInvalid(() => validateUnitsTable({ length: { units: { m: { factor: "0" } } } }), 'Unit "m" has an invalid factor');
+  assertInvalid(() => validateUnitsTable({ length: { units: { m: { factor: "1", offset: "x" } } } }), 'Unit "m" has an invalid offset');
+});
+
+// ===== Currency Tables =====
+
+test("rejects currency tables without rates", () => {
+  [null, { rates: null }, { rates: {} }].forEach((table) => {
+    assertInvalid(() => validateConverterTable("currency", table), 'Currency table needs a "rates" object');
+  });
+});
@@ -0,0 +1,235 @@
+/**
+ * Calculator Decimal Arithmetic
+ * Exact base-10 numbers stored as a BigInt coefficient and a scale
+ */
+
+// ===== Decimal Arithmetic =====
+
+/**
+ * Create a decimal value: coefficient × 10^-scale
+ */
+export function createDecimal(coefficient, scale = 0) {
+  return Object.freeze({ coefficient, scale });
+}
+
+/**
+ * Parse a decimal string (e.g. "-12.50", ".5", "3.", "1.5e-7") into a decimal
+ */
+export function parseDecimal(text) {
+  const match = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(String(text).trim());
+  if (!match || (!match[2] && match[3] === undefined)) return null;
+
+  const [, sign, integerPart, fractionPart = "", exponent = "0"] = match;
+  const digits = (integerPart + fractionPart) || "0";
+  let coefficient = BigInt(digits);
+  let scale = fractionPart.length - parseInt(exponent, 10);
+
+  if (scale < 0) {
+    coefficient *= powerOfTen(-scale);
+    scale = 0;
+  }
+
+  return createDecimal(sign === "-" ? -coefficient : coefficient, scale);
+}
+
+/**
+ * Convert a decimal to a plain string without trailing zeros
+ */
+export function decimalToString(decimal) {
+  const { coefficient, scale } = decimal;
+  const isNegative = coefficient < 0n;
+  const digits = (isNegative ? -coefficient : coefficient).toString().padStart(scale + 1, "0");
+
+  const integerPart = digits.slice(0, digits.length - scale);
+  const fractionPart = digits.slice(digits.length - scale).replace(/0+$/, "");
+
+  const text = fractionPart ? `${integerPart}.${fractionPart}` : integerPart;
+  return isNegative && text !== "0" ? "-" + text : text;
+}
+
+/**
+ * Power of ten as a BigInt
+ */
+export function powerOfTen(exponent) {
+  return 10n ** BigInt(exponent);
+}
+
+/**
+ * Bring two decimals to the same scale
+ */
+function alignDecimals(a, b) {
+  const scale = Math.max(a.scale, b.scale);
+  return [
+    a.coefficient * powerOfTen(scale - a.scale),
+    b.coefficient * powerOfTen(scale - b.scale),
+    scale,
+  ];
+}
+
+/**
+ * Divide two BigInts, rounding the quotient with the given mode
+ */
+function divideAndRound(numerator, denominator, roundingMode) {
+  const quotient = numerator / denominator;
+  const remainder = numerator % denominator;
+  if (remainder === 0n) return quotient;
+
+  const sign = (numerator < 0n) === (denominator < 0n) ? 1n : -1n;
+  const doubledRemainder = 2n * (remainder < 0n ? -remainder : remainder);
+  const absDenominator = denominator < 0n ? -denominator : denominator;
+
+  switch (roundingMode) {
+    case "truncate":
+      return quotient;
+    case "half-even": {
+      const isHalf = doubledRemainder === absDenominator;
+      const isOdd = quotient % 2n !== 0n;
+      if (doubledRemainder > absDenominator || (isHalf && isOdd)) return quotient + sign;
+      return quotient;
+    }
+    case "half-up":
+    default:
+      return doubledRemainder >= absDenominator ? quotient + sign : quotient;
+  }
+}
+
+/**
+ * Round a decimal to a number of decimal places
+ */
+export function roundDecimal(decimal, places, roundingMode) {
+  if (decimal.scale <= places) return decimal;
+
+  const divisor = powerOfTen(decimal.scale - places);
+  return createDecimal(divideAndRound(decimal.coefficient, divisor, roundingMode), places);
+}
+
+/**
+ * Add two decimals
+ */
+export function addDecimals(a, b) {
+  const [left, right, scale] = alignDecimals(a, b);
+  return createDecimal(left + right, scale);
+}
+
+/**
+ * Subtract two decimals
+ */
+export function subtractDecimals(a, b) {
+  const [left, right, scale] = alignDecimals(a, b);
+  return createDecimal(left - right, scale);
+}
+
+/**
+ * Multiply two decimals
+ */
+export function multiplyDecimals(a, b) {
+  return createDecimal(a.coefficient * b.coefficient, a.scale + b.scale);
+}
+
+/**
+ * Divide two decimals to a number of decimal places (null on division by zero)
+ */
+export function divideDecimals(a, b, places, roundingMode) {
+  if (b.coefficient === 0n) return null;
+
+  const numerator = a.coefficient * powerOfTen(places + b.scale);
+  const denominator = b.coefficient * powerOfTen(a.scale);
+  return createDecimal(divideAndRound(numerator, denominator, roundingMode), places);
+}
+
+/**
+ * Raise a decimal to a whole, non-negative power
+ */
+export function powerDecimalExact(base, exponent) {
+  return createDecimal(base.coefficient ** exponent, base.scale * Number(exponent));
+}
+
+/**
+ * Square root of a decimal to a number of decimal places (null for negative input)
+ */
+export function squareRootDecimal(decimal, places, roundingMode) {
+  if (decimal.coefficient < 0n) return null;
+
+  // sqrt(c × 10^-s) = sqrt(c × 10^(2p - s)) × 10^-p
+  const rounded = roundDecimal(decimal, places * 2, roundingMode);
+  const radicand = rounded.coefficient * powerOfTen(places * 2 - rounded.scale);
+  return createDecimal(integerSquareRoot(radicand), places);
+}
+
+/**
+ * Square root of a ÷ b to a number of decimal places, rounding only the result
+ * (null for a negative quotient or a zero divisor)
+ *
+ * Works on the exact quotient, so no intermediate rounding reaches the last digit.
+ */
+export function squareRootOfQuotient(a, b, places, roundingMode) {
+  if (b.coefficient === 0n) return null;
+
+  // radicand = numerator / denominator = a ÷ b × 10^2p, kept as an exact fraction
+  const sign = b.coefficient < 0n ? -1n : 1n;
+  const numerator = sign * a.coefficient * powerOfTen(places * 2 + b.scale);
+  const denominator = sign * b.coefficient * powerOfTen(a.scale);
+  if (numerator < 0n) return null;
+
+  const root = integerSquareRoot(numerator / denominator);
+
+  // One more digit that rounds the same way as the exact root: 0 when exact,
+  // 5 exactly halfway to the next step, 4 below halfway and 6 above it
+  const halfwaySquared = (2n * root + 1n) ** 2n * denominator;
+  let nextDigit = 6n;
+  if (root * root * denominator === numerator) nextDigit = 0n;
+  else if (4n * numerator < halfwaySquared) nextDigit = 4n;
+  else if (4n * numerator === halfwaySquared) nextDigit = 5n;
+
+  return roundDecimal(createDecimal(root * 10n + nextDigit, places + 1), places, roundingMode);
+}
+
+/**
+ * Integer square root of a non-negative BigInt (Newton's method)
+ */
+function integerSquareRoot(value) {
+  if (value < 2n) return value;
+
+  let estimate = 1n << BigInt(Math.ceil(value.toString(2).length / 2));
+  let next = (estimate + value / estimate) >> 1n;
+
+  while (next < estimate) {
+    estimate = next;
+    next = (estimate + value / estimate) >> 1n;
+  }
+
+  return estimate;
+}
+
+/**
+ * Get the integer value of a decimal as a BigInt (null if it has a fraction)
+ */
+export function decimalToInteger(decimal) {
+  const divisor = powerOfTen(decimal.scale);
+  if (decimal.coefficient % divisor !== 0n) return null;
+  return decimal.coefficient / divisor;
+}
+
+/**
+ * Convert a decimal to a floating-point number
+ */
+export function decimalToNumber(decimal) {
+  return Number(decimalToString(decimal));
+}
+
+/**
+ * Convert a floating-point number to a decimal, trimming binary noise
+ */
+export function numberToDecimal(number) {
+  if (!Number.isFinite(number)) return null;
+  return parseDecimal(number.toPrecision(15));
+}
+
+/**
+ * Compare two decimals (-1, 0 or 1)
+ */
+export function compareDecimals(a, b) {
+  const [left, right] = alignDecimals(a, b);
+  if (left === right) return 0;
+  return left < right ? -1 : 1;
+}
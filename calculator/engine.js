@@ -0,0 +1,1553 @@
+/**
+ * Calculator Engine
+ * Expression parsing and evaluation with no DOM access, so it can run in the browser or Node
+ */
+
+import {
+  createDecimal,
+  parseDecimal,
+  decimalToString,
+  roundDecimal,
+  addDecimals,
+  subtractDecimals,
+  multiplyDecimals,
+  divideDecimals,
+  powerDecimalExact,
+  squareRootDecimal,
+  decimalToInteger,
+  decimalToNumber,
+  numberToDecimal,
+} from "./decimal.js";
+
+// ===== Calculator Settings =====
+export const ROUNDING_MODES = ["half-up", "half-even", "truncate"];
+export const CALCULATOR_MODES = ["standard", "scientific", "programmer", "statistics"];
+export const ANGLE_UNITS = ["deg", "rad", "grad"];
+export const NUMBER_BASES = [16, 10, 8, 2];
+export const WORD_SIZES = [8, 16, 32, 64];
+export const MAX_PRECISION = 20;
+export const GUARD_DIGITS = 10;  // Extra digits kept by division before display rounding
+
+export const DEFAULT_SETTINGS = Object.freeze({
+  precision: 12,                 // Decimal places shown and stored in results
+  roundingMode: "half-up",       // One of ROUNDING_MODES
+  mode: "standard",              // One of CALCULATOR_MODES
+  angleUnit: "deg",              // One of ANGLE_UNITS
+  base: 10,                      // Programmer mode number base, one of NUMBER_BASES
+  wordSize: 32,                  // Programmer mode word size in bits, one of WORD_SIZES
+  signed: true,                  // Programmer mode two's complement signedness
+});
+
+// ===== Memory and Variables =====
+export const ANS_NAME = "Ans";
+const VARIABLE_NAME_PATTERN = /^[A-Za-z]{1,12}$/;
+
+// ===== Expression Constants =====
+export const OPERATORS = {
+  "|": { precedence: 1, symbol: "OR" },
+  "⊕": { precedence: 2, symbol: "XOR" },
+  "&": { precedence: 3, symbol: "AND" },
+  "«": { precedence: 4, symbol: "<<" },
+  "»": { precedence: 4, symbol: ">>" },
+  "+": { precedence: 5, symbol: "+" },
+  "-": { precedence: 5, symbol: "−" },
+  "*": { precedence: 6, symbol: "×" },
+  "/": { precedence: 6, symbol: "÷" },
+  "^": { precedence: 7, symbol: "^" },
+};
+
+// Bitwise operators, only available in programmer mode
+const PROGRAMMER_OPERATORS = ["|", "⊕", "&", "«", "»"];
+export const NOT_OPERATOR = "~";
+
+const POSTFIX_OPERATORS = ["!", "%"];
+
+const CONSTANTS = {
+  "π": Math.PI,
+  e: Math.E,
+};
+
+const MAX_EXACT_EXPONENT = 1000;   // Larger integer powers fall back to floating point
+const MAX_FACTORIAL_INPUT = 170;
+
+/**
+ * Scientific functions: expression name → display symbol and evaluator
+ */
+export const SCIENTIFIC_FUNCTIONS = {
+  sin: { symbol: "sin", evaluate: (x, settings) => evaluateTrigFunction("sin", x, settings) },
+  cos: { symbol: "cos", evaluate: (x, settings) => evaluateTrigFunction("cos", x, settings) },
+  tan: { symbol: "tan", evaluate: (x, settings) => evaluateTrigFunction("tan", x, settings) },
+  asin: { symbol: "sin⁻¹", evaluate: (x, settings) => evaluateInverseTrigFunction("asin", x, settings) },
+  acos: { symbol: "cos⁻¹", evaluate: (x, settings) => evaluateInverseTrigFunction("acos", x, settings) },
+  atan: { symbol: "tan⁻¹", evaluate: (x, settings) => evaluateInverseTrigFunction("atan", x, settings) },
+  ln: { symbol: "ln", evaluate: (x) => evaluateLogarithm("ln", x) },
+  log: { symbol: "log", evaluate: (x) => evaluateLogarithm("log", x) },
+  sqrt: { symbol: "√", evaluate: (x, settings) => evaluateSquareRoot(x, settings) },
+  cbrt: { symbol: "∛", evaluate: (x) => numberToDecimal(Math.cbrt(decimalToNumber(x))) },
+};
+
+// ===== Integer Arithmetic (Programmer Mode) =====
+
+/**
+ * Wrap an integer to the configured word size and signedness
+ */
+export function toWord(value, settings) {
+  const { wordSize, signed } = settings;
+  return signed ? BigInt.asIntN(wordSize, value) : BigInt.asUintN(wordSize, value);
+}
+
+/**
+ * Parse an unsigned integer literal in a base and wrap it to the word size
+ */
+export function parseInteger(text, base, settings) {
+  const prefixes = { 16: "0x", 10: "", 8: "0o", 2: "0b" };
+  return toWord(BigInt(prefixes[base] + text), settings);
+}
+
+/**
+ * Format an integer in a base (two's complement outside decimal)
+ */
+export function formatInteger(value, base, settings) {
+  if (base === 10) return toWord(value, settings).toString();
+  return BigInt.asUintN(settings.wordSize, value).toString(base).toUpperCase();
+}
+
+/**
+ * Perform an integer operation with overflow wrapping
+ */
+function performIntegerCalculation(a, operator, b, settings) {
+  switch (operator) {
+    case "+": return toWord(a + b, settings);
+    case "-": return toWord(a - b, settings);
+    case "*": return toWord(a * b, settings);
+    case "/":
+      if (b === 0n) throw createDomainError("÷", "division by zero");
+      return toWord(a / b, settings);
+    case "&": return toWord(a & b, settings);
+    case "|": return toWord(a | b, settings);
+    case "⊕": return toWord(a ^ b, settings);
+    case "«":
+    case "»": {
+      if (b < 0n || b > BigInt(settings.wordSize)) {
+        throw createDomainError(OPERATORS[operator].symbol,
+          `shift must be between 0 and ${settings.wordSize}`);
+      }
+      return toWord(operator === "«" ? a << b : a >> b, settings);
+    }
+    default:
+      throw new SyntaxError(`"${OPERATORS[operator].symbol}" is not available in programmer mode`);
+  }
+}
+
+// ===== Utility Functions =====
+
+/**
+ * Format a decimal for display using the configured precision and rounding
+ */
+export function formatDisplayNumber(decimal, settings) {
+  if (!decimal) return "Error";
+  return decimalToString(roundDecimal(decimal, settings.precision, settings.roundingMode));
+}
+
+/**
+ * Build the error for a function that received an invalid input
+ */
+function createDomainError(symbol, reason) {
+  return new RangeError(`${symbol}: ${reason}`);
+}
+
+/**
+ * Check if an object has its own property with the given name
+ */
+export function hasOwn(object, name) {
+  return Object.prototype.hasOwnProperty.call(object, name);
+}
+
+/**
+ * Check if an operator can be used in the given mode
+ */
+export function isOperatorAvailable(operator, settings) {
+  return settings.mode === "programmer"
+    ? operator !== "^"
+    : !PROGRAMMER_OPERATORS.includes(operator);
+}
+
+/**
+ * Check if a digit is valid in the current base
+ */
+export function isValidDigit(digit, settings) {
+  const base = settings.mode === "programmer" ? settings.base : 10;
+  const value = parseInt(digit, 16);
+  return /^[0-9A-F]$/.test(digit) && value < base;
+}
+
+/**
+ * Check if a character is a binary operator
+ */
+export function isOperator(char) {
+  return hasOwn(OPERATORS, char);
+}
+
+/**
+ * Check if a minus sign at the given index is a unary (sign) minus
+ */
+function isUnaryMinusAt(expression, index) {
+  if (expression[index] !== "-") return false;
+  const previous = expression[index - 1];
+  return previous === undefined || previous === "(" || previous === NOT_OPERATOR ||
+    isOperator(previous);
+}
+
+/**
+ * Check if a name can be used for a variable
+ */
+export function isValidVariableName(name) {
+  return VARIABLE_NAME_PATTERN.test(name) &&
+    name !== ANS_NAME &&
+    !hasOwn(CONSTANTS, name) &&
+    !hasOwn(SCIENTIFIC_FUNCTIONS, name);
+}
+
+/**
+ * Perform arithmetic operation on decimals (null when undefined)
+ */
+function performCalculation(a, operator, b, settings) {
+  if (!a || !b) return null;
+
+  switch (operator) {
+    case "+": return addDecimals(a, b);
+    case "-": return subtractDecimals(a, b);
+    case "*": return multiplyDecimals(a, b);
+    case "/": return divideDecimals(a, b, settings.precision + GUARD_DIGITS, settings.roundingMode);
+    case "^": return calculatePower(a, b, settings);
+    default: return null;
+  }
+}
+
+// ===== Scientific Functions =====
+
+/**
+ * Raise a decimal to a decimal power
+ */
+function calculatePower(base, exponent, settings) {
+  const workingPrecision = settings.precision + GUARD_DIGITS;
+  const integerExponent = decimalToInteger(exponent);
+  const isZeroBase = base.coefficient === 0n;
+
+  if (isZeroBase && exponent.coefficient < 0n) {
+    throw createDomainError("^", "zero cannot be raised to a negative power");
+  }
+
+  // Whole exponents are computed exactly
+  if (integerExponent !== null && integerExponent <= MAX_EXACT_EXPONENT &&
+      integerExponent >= -MAX_EXACT_EXPONENT) {
+    const magnitude = integerExponent < 0n ? -integerExponent : integerExponent;
+    const power = roundDecimal(powerDecimalExact(base, magnitude), workingPrecision, settings.roundingMode);
+    return integerExponent < 0n
+      ? divideDecimals(createDecimal(1n), power, workingPrecision, settings.roundingMode)
+      : power;
+  }
+
+  if (base.coefficient < 0n) {
+    throw createDomainError("^", "negative base needs a whole exponent");
+  }
+
+  const result = numberToDecimal(Math.pow(decimalToNumber(base), decimalToNumber(exponent)));
+  if (!result) throw createDomainError("^", "result is out of range");
+  return result;
+}
+
+/**
+ * Convert an angle in the given unit to radians
+ */
+function angleToRadians(angle, angleUnit) {
+  switch (angleUnit) {
+    case "deg": return angle * Math.PI / 180;
+    case "grad": return angle * Math.PI / 200;
+    default: return angle;
+  }
+}
+
+/**
+ * Convert radians to an angle in the given unit
+ */
+function radiansToAngle(radians, angleUnit) {
+  switch (angleUnit) {
+    case "deg": return radians * 180 / Math.PI;
+    case "grad": return radians * 200 / Math.PI;
+    default: return radians;
+  }
+}
+
+/**
+ * Evaluate sin, cos or tan in the configured angle unit
+ */
+function evaluateTrigFunction(name, decimal, settings) {
+  const { angleUnit } = settings;
+  const angle = decimalToNumber(decimal);
+
+  // tan is undefined at odd multiples of a quarter turn
+  if (name === "tan" && angleUnit !== "rad") {
+    const halfTurn = angleUnit === "deg" ? 180 : 200;
+    if (((angle % halfTurn) + halfTurn) % halfTurn === halfTurn / 2) {
+      throw createDomainError("tan", `undefined at ${decimalToString(decimal)} ${angleUnit}`);
+    }
+  }
+
+  const result = numberToDecimal(Math[name](angleToRadians(angle, angleUnit)));
+  if (!result) throw createDomainError(name, "result is out of range");
+  return result;
+}
+
+/**
+ * Evaluate an inverse trig function, returning an angle in the configured unit
+ */
+function evaluateInverseTrigFunction(name, decimal, settings) {
+  const value = decimalToNumber(decimal);
+  const { symbol } = SCIENTIFIC_FUNCTIONS[name];
+
+  if (name !== "atan" && (value < -1 || value > 1)) {
+    throw createDomainError(symbol, "input must be between −1 and 1");
+  }
+
+  return numberToDecimal(radiansToAngle(Math[name](value), settings.angleUnit));
+}
+
+/**
+ * Evaluate the natural (ln) or common (log) logarithm
+ */
+function evaluateLogarithm(name, decimal) {
+  if (decimal.coefficient <= 0n) {
+    throw createDomainError(name, "input must be greater than 0");
+  }
+
+  const value = decimalToNumber(decimal);
+  return numberToDecimal(name === "ln" ? Math.log(value) : Math.log10(value));
+}
+
+/**
+ * Evaluate the square root of a non-negative decimal
+ */
+function evaluateSquareRoot(decimal, settings) {
+  if (decimal.coefficient < 0n) {
+    throw createDomainError("√", "input must not be negative");
+  }
+  return squareRootDecimal(decimal, settings.precision + GUARD_DIGITS, settings.roundingMode);
+}
+
+/**
+ * Calculate the factorial of a non-negative whole number
+ */
+function calculateFactorial(decimal) {
+  const n = decimalToInteger(decimal);
+
+  if (n === null || n < 0n) {
+    throw createDomainError("n!", "input must be a non-negative whole number");
+  }
+  if (n > BigInt(MAX_FACTORIAL_INPUT)) {
+    throw createDomainError("n!", `input must be at most ${MAX_FACTORIAL_INPUT}`);
+  }
+
+  let result = 1n;
+  for (let factor = 2n; factor <= n; factor++) {
+    result *= factor;
+  }
+  return createDecimal(result);
+}
+
+/**
+ * Apply a scientific function by name
+ */
+function applyFunction(name, decimal, settings) {
+  const definition = SCIENTIFIC_FUNCTIONS[name];
+  const result = definition.evaluate(decimal, settings);
+
+  if (!result) throw createDomainError(definition.symbol, "invalid input");
+  return result;
+}
+
+/**
+ * Apply a postfix operator ("!" factorial or "%" percent)
+ */
+function applyPostfix(operator, decimal) {
+  if (operator === "!") return calculateFactorial(decimal);
+  return createDecimal(decimal.coefficient, decimal.scale + 2);
+}
+
+// ===== Expression Parsing =====
+
+/**
+ * Split an expression string into number, name, operator and parenthesis tokens
+ */
+export function tokenizeExpression(expression, settings) {
+  const isProgrammer = settings.mode === "programmer";
+  const tokens = [];
+  let index = 0;
+
+  while (index < expression.length) {
+    const char = expression[index];
+
+    if (char === " ") {
+      index++;
+    } else if (isProgrammer && /[0-9A-F]/.test(char)) {
+      const match = expression.slice(index).match(/^[0-9A-F]+/);
+      tokens.push({ type: "number", value: match[0] });
+      index += match[0].length;
+    } else if ((char >= "0" && char <= "9") || char === ".") {
+      const match = expression.slice(index).match(/^\d*\.?\d*/);
+      tokens.push({ type: "number", value: match[0] });
+      index += match[0].length;
+    } else if (/[A-Za-zπ]/.test(char)) {
+      const match = expression.slice(index).match(/^(?:π|[A-Za-z]+)/);
+      tokens.push({ type: "name", value: match[0] });
+      index += match[0].length;
+    } else if (isOperator(char)) {
+      tokens.push({ type: "operator", value: char });
+      index++;
+    } else if (char === NOT_OPERATOR) {
+      tokens.push({ type: "prefix", value: char });
+      index++;
+    } else if (POSTFIX_OPERATORS.includes(char)) {
+      tokens.push({ type: "postfix", value: char });
+      index++;
+    } else if (char === "(" || char === ")") {
+      tokens.push({ type: "paren", value: char });
+      index++;
+    } else {
+      throw new SyntaxError(`Unexpected character "${char}"`);
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse tokens into an expression tree using recursive descent
+ *
+ * Grammar (lowest to highest precedence):
+ *   expression := xor ("|" xor)*
+ *   xor        := and ("⊕" and)*
+ *   and        := shift ("&" shift)*
+ *   shift      := sum (("«" | "»") sum)*
+ *   sum        := term (("+" | "-") term)*
+ *   term       := unary (("*" | "/") unary)*
+ *   unary      := ("-" | "~") unary | power
+ *   power      := postfix ("^" unary)?
+ *   postfix    := primary ("!" | "%")*
+ *   primary    := number | constant | variable | function "(" expression ")" | "(" expression ")"
+ */
+export function parseExpression(tokens, settings) {
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const consume = () => tokens[position++];
+
+  function parseBinary(precedence, parseOperand) {
+    let node = parseOperand();
+
+    while (
+      peek() &&
+      peek().type === "operator" &&
+      OPERATORS[peek().value].precedence === precedence
+    ) {
+      const operator = consume().value;
+      node = { type: "binary", operator, left: node, right: parseOperand() };
+    }
+
+    return node;
+  }
+
+  function parsePrimary() {
+    const token = consume();
+    if (!token) throw new SyntaxError("Unexpected end of expression");
+
+    if (token.type === "number") {
+      const value = settings.mode === "programmer"
+        ? parseInteger(token.value, settings.base, settings)
+        : parseDecimal(token.value);
+      return { type: "number", value };
+    }
+
+    if (token.type === "name" && hasOwn(CONSTANTS, token.value)) {
+      return { type: "number", value: numberToDecimal(CONSTANTS[token.value]) };
+    }
+
+    if (token.type === "name" && hasOwn(SCIENTIFIC_FUNCTIONS, token.value)) {
+      const opening = consume();
+      if (!opening || opening.value !== "(") {
+        throw new SyntaxError(`Missing "(" after ${token.value}`);
+      }
+      return { type: "function", name: token.value, argument: parseGroup() };
+    }
+
+    if (token.type === "name") {
+      return { type: "variable", name: token.value };
+    }
+
+    if (token.type === "paren" && token.value === "(") {
+      return parseGroup();
+    }
+
+    throw new SyntaxError(`Unexpected token "${token.value}"`);
+  }
+
+  function parseGroup() {
+    const node = parseBitwiseOr();
+    const closing = consume();
+    if (!closing || closing.value !== ")") {
+      throw new SyntaxError("Missing closing parenthesis");
+    }
+    return node;
+  }
+
+  function parsePostfix() {
+    let node = parsePrimary();
+
+    while (peek() && peek().type === "postfix") {
+      node = { type: "postfix", operator: consume().value, operand: node };
+    }
+
+    return node;
+  }
+
+  function parsePower() {
+    const base = parsePostfix();
+
+    // Right-associative: 2^3^2 = 2^(3^2), and -2^2 = -(2^2)
+    if (peek() && peek().type === "operator" && peek().value === "^") {
+      consume();
+      return { type: "binary", operator: "^", left: base, right: parseUnary() };
+    }
+
+    return base;
+  }
+
+  function parseUnary() {
+    if (peek() && peek().type === "operator" && peek().value === "-") {
+      consume();
+      return { type: "negate", operand: parseUnary() };
+    }
+    if (peek() && peek().type === "prefix") {
+      consume();
+      return { type: "not", operand: parseUnary() };
+    }
+    return parsePower();
+  }
+
+  function parseProduct() {
+    return parseBinary(6, parseUnary);
+  }
+
+  function parseSum() {
+    return parseBinary(5, parseProduct);
+  }
+
+  function parseShift() {
+    return parseBinary(4, parseSum);
+  }
+
+  function parseBitwiseAnd() {
+    return parseBinary(3, parseShift);
+  }
+
+  function parseBitwiseXor() {
+    return parseBinary(2, parseBitwiseAnd);
+  }
+
+  function parseBitwiseOr() {
+    return parseBinary(1, parseBitwiseXor);
+  }
+
+  const tree = parseBitwiseOr();
+  if (position < tokens.length) {
+    throw new SyntaxError(`Unexpected token "${peek().value}"`);
+  }
+  return tree;
+}
+
+
+/**
+ * Look up Ans or a named variable (stored as decimal strings)
+ */
+function getVariableValue(name, variables) {
+  if (hasOwn(variables, name)) return parseDecimal(variables[name]);
+  throw new ReferenceError(`Unknown variable "${name}"`);
+}
+
+/**
+ * Evaluate an expression tree with performCalculation as the backend
+ */
+function evaluateNode(node, context) {
+  const { settings } = context;
+
+  switch (node.type) {
+    case "number":
+      return node.value;
+    case "negate":
+      return performCalculation(createDecimal(0n), "-", evaluateNode(node.operand, context), settings);
+    case "variable":
+      return getVariableValue(node.name, context.variables);
+    case "function":
+      return applyFunction(node.name, evaluateNode(node.argument, context), settings);
+    case "postfix":
+      return applyPostfix(node.operator, evaluateNode(node.operand, context));
+    case "binary": {
+      const result = performCalculation(
+        evaluateNode(node.left, context),
+        node.operator,
+        evaluateNode(node.right, context),
+        settings
+      );
+      if (!result && node.operator === "/") throw createDomainError("÷", "division by zero");
+      return result;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Evaluate an expression tree as wrapped integers (programmer mode)
+ */
+function evaluateIntegerNode(node, context) {
+  const { settings } = context;
+
+  switch (node.type) {
+    case "number":
+      return node.value;
+    case "negate":
+      return performIntegerCalculation(0n, "-", evaluateIntegerNode(node.operand, context), settings);
+    case "not":
+      return toWord(~evaluateIntegerNode(node.operand, context), settings);
+    case "binary":
+      return performIntegerCalculation(
+        evaluateIntegerNode(node.left, context),
+        node.operator,
+        evaluateIntegerNode(node.right, context),
+        settings
+      );
+    default:
+      throw new SyntaxError("Only integer operations are available in programmer mode");
+  }
+}
+
+/**
+ * Tokenize, parse and evaluate an expression string
+ *
+ * The context holds the settings and the variables ({ name: decimal string }) that
+ * the expression may refer to.
+ */
+export function evaluateExpression(expression, context) {
+  const { settings } = context;
+  const tree = parseExpression(tokenizeExpression(expression, settings), settings);
+  const evaluate = settings.mode === "programmer" ? evaluateIntegerNode : evaluateNode;
+  const value = evaluate(tree, context);
+
+  // Remember the outermost operation so repeated equals can replay it
+  const repeatOperation = tree.type === "binary"
+    ? { operator: tree.operator, operand: evaluate(tree.right, context) }
+    : null;
+
+  return { value, repeatOperation };
+}
+
+/**
+ * Complete a partially typed expression so it can be evaluated
+ */
+export function completeExpression(expression, settings) {
+  let completed = expression;
+
+  // Drop dangling operators and empty groups, e.g. "2+3*", "4*(" or "sin("
+  const danglingPattern = settings.mode === "programmer"
+    ? /[^0-9A-F)]$/
+    : /(?:[^\w.)!%π]|[A-Za-z]*\()$/;
+  while (danglingPattern.test(completed)) {
+    completed = completed.replace(danglingPattern, "");
+  }
+
+  let depth = 0;
+  for (const char of completed) {
+    if (char === "(") depth++;
+    else if (char === ")") depth--;
+  }
+
+  return completed + ")".repeat(Math.max(depth, 0));
+}
+
+/**
+ * Format an expression string for display
+ */
+export function formatExpression(expression) {
+  let formatted = "";
+
+  for (let index = 0; index < expression.length; index++) {
+    const char = expression[index];
+    const name = expression.slice(index).match(/^[A-Za-z]+/);
+
+    if (name) {
+      const definition = SCIENTIFIC_FUNCTIONS[name[0]];
+      formatted += definition ? definition.symbol : name[0];
+      index += name[0].length - 1;
+    } else if (char === "^") {
+      formatted += "^";
+    } else if (char === NOT_OPERATOR) {
+      formatted += "NOT ";
+    } else if (isOperator(char) && !isUnaryMinusAt(expression, index)) {
+      formatted += ` ${OPERATORS[char].symbol} `;
+    } else if (char === "-") {
+      formatted += OPERATORS["-"].symbol;
+    } else {
+      formatted += char;
+    }
+  }
+
+  return formatted.trim();
+}
+
+// ===== Calculator Factory =====
+
+/**
+ * Create a calculator holding its own state, settings and memory
+ *
+ * Actions change the state and notify subscribers instead of touching the page:
+ *   "change"    → getState() after any action
+ *   "settings"  → getSettings() after settings were applied
+ *   "memory"    → getMemory() after the memory register, a variable or Ans changed
+ *   "calculate" → { expression, result, base } for every completed calculation
+ */
+export function createCalculator({ settings = {}, memory = {} } = {}) {
+  const calculatorState = {
+    expression: "",              // Editable expression, e.g. "2+3*(4-1)"
+    currentInput: "0",            // Current display input
+    repeatOperation: null,        // Last top-level operation, replayed by repeated equals
+    lastResult: null,             // Unrounded value of the last calculation (decimal, or BigInt in programmer mode)
+    hasCalculated: false,         // Flag for post-equals state
+    isError: false,               // Error state flag
+    errorMessage: "",             // Explains which operation failed
+  };
+
+  const calculatorSettings = { ...DEFAULT_SETTINGS };
+
+  const memoryState = {
+    memory: null,                 // Memory register value (decimal string), null when empty
+    variables: {},                // Named variables: name → decimal string
+    ans: "0",                     // Last result, available as Ans
+  };
+
+  const listeners = {};
+
+  // ===== Events =====
+
+  /**
+   * Subscribe to an event, returning a function that unsubscribes
+   */
+  function on(type, listener) {
+    (listeners[type] ||= []).push(listener);
+    return () => {
+      listeners[type] = listeners[type].filter((registered) => registered !== listener);
+    };
+  }
+
+  /**
+   * Notify the subscribers of an event
+   */
+  function emit(type, detail) {
+    (listeners[type] || []).forEach((listener) => listener(detail));
+  }
+
+  /**
+   * Notify subscribers that the calculator state changed
+   */
+  function emitChange() {
+    emit("change", getState());
+  }
+
+  // ===== Snapshots =====
+
+  /**
+   * Get a copy of the calculator state
+   */
+  function getState() {
+    return { ...calculatorState };
+  }
+
+  /**
+   * Restore a state taken with getState(), e.g. to undo an action
+   */
+  function restoreState(snapshot) {
+    Object.keys(calculatorState).forEach((key) => {
+      if (hasOwn(snapshot, key)) calculatorState[key] = snapshot[key];
+    });
+    emitChange();
+  }
+
+  /**
+   * Get a copy of the settings
+   */
+  function getSettings() {
+    return { ...calculatorSettings };
+  }
+
+  /**
+   * Get a copy of the memory register, variables and Ans
+   */
+  function getMemory() {
+    return { ...memoryState, variables: { ...memoryState.variables } };
+  }
+
+  // ===== State Helpers =====
+
+  /**
+   * Check if calculator is in error state
+   */
+  function checkErrorState() {
+    return calculatorState.isError || calculatorState.currentInput === "Error";
+  }
+
+  /**
+   * Check if the calculator is in programmer (integer) mode
+   */
+  function isProgrammerMode() {
+    return calculatorSettings.mode === "programmer";
+  }
+
+  /**
+   * Get the last character of the expression
+   */
+  function getLastCharacter() {
+    return calculatorState.expression.slice(-1);
+  }
+
+  /**
+   * Check if the expression ends with a complete operand other than a number literal
+   * (a closing parenthesis, constant or postfix operator), which needs an explicit
+   * "*" before the next operand
+   */
+  function endsWithClosedOperand() {
+    if (isProgrammerMode()) return /\)$/.test(calculatorState.expression);
+    return /[)!%A-Za-zπ]$/.test(calculatorState.expression);
+  }
+
+  /**
+   * Check if the expression ends with any complete operand
+   */
+  function endsWithOperand() {
+    return endsWithClosedOperand() || getTrailingNumber() !== "";
+  }
+
+  /**
+   * Get the number literal at the end of the expression (may be empty)
+   */
+  function getTrailingNumber() {
+    const pattern = isProgrammerMode() ? /[0-9A-F]*$/ : /\d*\.?\d*$/;
+    const match = calculatorState.expression.match(pattern);
+    return match ? match[0] : "";
+  }
+
+  /**
+   * Count parentheses that are still open
+   */
+  function countOpenParentheses() {
+    let depth = 0;
+    for (const char of calculatorState.expression) {
+      if (char === "(") depth++;
+      else if (char === ")") depth--;
+    }
+    return depth;
+  }
+
+  /**
+   * Build the evaluation context from the settings, Ans and variables
+   */
+  function getEvaluationContext() {
+    return {
+      settings: calculatorSettings,
+      variables: { ...memoryState.variables, [ANS_NAME]: memoryState.ans },
+    };
+  }
+
+  /**
+   * Format a calculated value for display in the current mode
+   */
+  function formatValue(value) {
+    return typeof value === "bigint"
+      ? formatInteger(value, calculatorSettings.base, calculatorSettings)
+      : formatDisplayNumber(value, calculatorSettings);
+  }
+
+  /**
+   * Format a decimal with the configured precision and rounding
+   */
+  function formatNumber(decimal) {
+    return formatDisplayNumber(decimal, calculatorSettings);
+  }
+
+  /**
+   * Get the value shown in the result display as an integer (programmer mode)
+   */
+  function getDisplayedInteger() {
+    if (calculatorState.hasCalculated && typeof calculatorState.lastResult === "bigint") {
+      return calculatorState.lastResult;
+    }
+
+    const { currentInput } = calculatorState;
+    const isNegative = currentInput.startsWith("-");
+    const magnitude = parseInteger(
+      isNegative ? currentInput.slice(1) : currentInput,
+      calculatorSettings.base,
+      calculatorSettings
+    );
+    return toWord(isNegative ? -magnitude : magnitude, calculatorSettings);
+  }
+
+  /**
+   * Convert the number literals of the expression to another base
+   */
+  function convertExpressionBase(fromBase, toBase) {
+    const convert = (literal) =>
+      BigInt.asUintN(calculatorSettings.wordSize, parseInteger(literal, fromBase, calculatorSettings))
+        .toString(toBase)
+        .toUpperCase();
+
+    calculatorState.expression = calculatorState.expression.replace(/[0-9A-F]+/g, convert);
+  }
+
+  /**
+   * Switch the programmer mode base, converting the current input
+   */
+  function setBase(base) {
+    if (NUMBER_BASES.includes(base) && !checkErrorState()) {
+      convertExpressionBase(calculatorSettings.base, base);
+
+      if (calculatorState.hasCalculated) {
+        calculatorState.currentInput = formatInteger(calculatorState.lastResult, base, calculatorSettings);
+      } else {
+        syncCurrentInput();
+      }
+    }
+
+    applySettings({ base });
+  }
+
+  /**
+   * Sync the result display with the number being typed
+   */
+  function syncCurrentInput() {
+    const trailingNumber = getTrailingNumber();
+    const signed = isUnaryMinusAt(
+      calculatorState.expression,
+      calculatorState.expression.length - trailingNumber.length - 1
+    );
+
+    if (!trailingNumber) {
+      calculatorState.currentInput = signed ? "-0" : "0";
+    } else {
+      calculatorState.currentInput = (signed ? "-" : "") + trailingNumber;
+    }
+  }
+
+  /**
+   * Set calculator into error state
+   */
+  function setErrorState(message = "") {
+    calculatorState.expression = "";
+    calculatorState.currentInput = "Error";
+    calculatorState.repeatOperation = null;
+    calculatorState.lastResult = null;
+    calculatorState.hasCalculated = false;
+    calculatorState.isError = true;
+    calculatorState.errorMessage = message;
+  }
+
+  /**
+   * Reset calculator state for new input
+   */
+  function resetStateForNewInput() {
+    if (checkErrorState() || calculatorState.hasCalculated) {
+      calculatorState.expression = "";
+      calculatorState.currentInput = "0";
+      calculatorState.repeatOperation = null;
+      calculatorState.lastResult = null;
+      calculatorState.hasCalculated = false;
+      calculatorState.isError = false;
+      calculatorState.errorMessage = "";
+    }
+  }
+
+  /**
+   * Wrap a negative result in parentheses so a following "^" applies to the whole value
+   */
+  function wrapNegativeOperand(text) {
+    return text.startsWith("-") ? `(${text})` : text;
+  }
+
+  /**
+   * Continue editing from the last result (used after equals)
+   */
+  function continueFromResult(operator) {
+    if (!calculatorState.hasCalculated) return;
+
+    calculatorState.expression = operator === "^"
+      ? wrapNegativeOperand(calculatorState.currentInput)
+      : calculatorState.currentInput;
+    calculatorState.hasCalculated = false;
+  }
+
+  // ===== Operation Functions =====
+
+  /**
+   * Append digit to current input
+   */
+  function appendDigit(digit) {
+    if (!isValidDigit(digit, calculatorSettings)) return;
+    resetStateForNewInput();
+
+    // Implicit multiplication after a closing parenthesis, constant or postfix
+    if (endsWithClosedOperand()) {
+      calculatorState.expression += "*";
+    }
+
+    const trailingNumber = getTrailingNumber();
+
+    if (trailingNumber === "0") {
+      calculatorState.expression = calculatorState.expression.slice(0, -1) + digit;
+    } else {
+      calculatorState.expression += digit;
+    }
+
+    syncCurrentInput();
+    emitChange();
+  }
+
+  /**
+   * Add decimal point to current input
+   */
+  function addDecimalPoint() {
+    if (isProgrammerMode()) return;
+    resetStateForNewInput();
+
+    if (endsWithClosedOperand()) {
+      calculatorState.expression += "*";
+    }
+
+    const trailingNumber = getTrailingNumber();
+
+    if (!trailingNumber) {
+      calculatorState.expression += "0.";
+    } else if (!trailingNumber.includes(".")) {
+      calculatorState.expression += ".";
+    }
+
+    syncCurrentInput();
+    emitChange();
+  }
+
+  /**
+   * Toggle sign of current input
+   */
+  function toggleSign() {
+    if (checkErrorState()) return;
+    continueFromResult();
+
+    const { expression } = calculatorState;
+    const trailingNumber = getTrailingNumber();
+    if (!trailingNumber || /^[0.]*$/.test(trailingNumber)) return;
+
+    const numberStart = expression.length - trailingNumber.length;
+
+    if (isUnaryMinusAt(expression, numberStart - 1)) {
+      calculatorState.expression = expression.slice(0, numberStart - 1) + trailingNumber;
+    } else {
+      calculatorState.expression = expression.slice(0, numberStart) + "-" + trailingNumber;
+    }
+
+    syncCurrentInput();
+    emitChange();
+  }
+
+  /**
+   * Remove last character (or whole function or variable name) from the expression
+   */
+  function removeLastCharacter() {
+    if (checkErrorState()) return;
+    if (calculatorState.hasCalculated) return;
+
+    const name = calculatorState.expression.match(/[A-Za-z]+\(?$/);
+    const length = name ? name[0].length : 1;
+    calculatorState.expression = calculatorState.expression.slice(0, -length);
+
+    syncCurrentInput();
+    emitChange();
+  }
+
+  /**
+   * Clear all calculator state
+   */
+  function clearCalculator() {
+    clearState();
+    emitChange();
+  }
+
+  /**
+   * Reset the expression, result and error state
+   */
+  function clearState() {
+    calculatorState.expression = "";
+    calculatorState.currentInput = "0";
+    calculatorState.repeatOperation = null;
+    calculatorState.lastResult = null;
+    calculatorState.hasCalculated = false;
+    calculatorState.isError = false;
+    calculatorState.errorMessage = "";
+  }
+
+  /**
+   * Select operator
+   */
+  function selectOperator(operator) {
+    if (checkErrorState()) return;
+    if (!isOperatorAvailable(operator, calculatorSettings)) return;
+
+    // Continue from result after equals
+    continueFromResult(operator);
+
+    const lastCharacter = getLastCharacter();
+
+    if (!calculatorState.expression) {
+      // A leading minus starts a negative number, anything else applies to 0
+      calculatorState.expression = operator === "-" ? "-" : "0" + operator;
+    } else if (lastCharacter === "(" || lastCharacter === "^" || lastCharacter === NOT_OPERATOR) {
+      // Only a sign is allowed right after an opening parenthesis, power or NOT
+      if (operator === "-") calculatorState.expression += "-";
+    } else if (isOperator(lastCharacter)) {
+      // Allow changing operator without entering next number
+      let trimmed = calculatorState.expression.slice(0, -1);
+      if (isOperator(trimmed.slice(-1))) trimmed = trimmed.slice(0, -1);
+      calculatorState.expression = trimmed
+        ? trimmed + operator
+        : (operator === "-" ? "-" : "0" + operator);
+    } else {
+      calculatorState.expression += operator;
+    }
+
+    syncCurrentInput();
+    emitChange();
+  }
+
+  /**
+   * Open a parenthesized group
+   */
+  function openParenthesis() {
+    resetStateForNewInput();
+
+    // Implicit multiplication, e.g. "2(" becomes "2*("
+    if (endsWithOperand()) {
+      calculatorState.expression += "*";
+    }
+
+    calculatorState.expression += "(";
+
+    syncCurrentInput();
+    emitChange();
+  }
+
+  /**
+   * Close the innermost open parenthesized group
+   */
+  function closeParenthesis() {
+    if (checkErrorState()) return;
+    if (calculatorState.hasCalculated) return;
+    if (countOpenParentheses() <= 0) return;
+
+    const lastCharacter = getLastCharacter();
+    if (lastCharacter === "(" || lastCharacter === NOT_OPERATOR || isOperator(lastCharacter)) return;
+
+    calculatorState.expression += ")";
+
+    syncCurrentInput();
+    emitChange();
+  }
+
+  /**
+   * Insert a scientific function call, e.g. "sin("
+   */
+  function insertFunction(name) {
+    resetStateForNewInput();
+
+    if (endsWithOperand()) {
+      calculatorState.expression += "*";
+    }
+    calculatorState.expression += name + "(";
+
+    syncCurrentInput();
+    emitChange();
+  }
+
+  /**
+   * Insert a named value: a constant (π, e), Ans or a variable
+   */
+  function insertNamedValue(name) {
+    // Programmer mode has no named values, so Ans and variables go in as numbers
+    if (isProgrammerMode()) {
+      if (name === ANS_NAME) insertOperand(memoryState.ans);
+      else if (hasOwn(memoryState.variables, name)) insertOperand(memoryState.variables[name]);
+      return;
+    }
+
+    resetStateForNewInput();
+
+    if (endsWithOperand()) {
+      calculatorState.expression += "*";
+    }
+    calculatorState.expression += name;
+
+    syncCurrentInput();
+    emitChange();
+  }
+
+  /**
+   * Append a postfix operator ("!" or "%") to the last operand
+   */
+  function appendPostfix(operator) {
+    if (checkErrorState()) return;
+    continueFromResult();
+    if (!endsWithOperand()) return;
+
+    calculatorState.expression += operator;
+
+    syncCurrentInput();
+    emitChange();
+  }
+
+  /**
+   * Raise the last operand to a fixed power (x² or x⁻¹)
+   */
+  function appendPower(exponent) {
+    if (checkErrorState()) return;
+    continueFromResult("^");
+    if (!endsWithOperand()) return;
+
+    calculatorState.expression += "^" + exponent;
+
+    syncCurrentInput();
+    emitChange();
+  }
+
+  /**
+   * Insert a base raised to a power, e.g. "10^(" or "e^("
+   */
+  function insertExponential(base) {
+    resetStateForNewInput();
+
+    if (endsWithOperand()) {
+      calculatorState.expression += "*";
+    }
+    calculatorState.expression += base + "^(";
+
+    syncCurrentInput();
+    emitChange();
+  }
+
+  /**
+   * Insert a bitwise NOT before the next operand, or apply it to the last result
+   */
+  function insertNot() {
+    if (checkErrorState() || !isProgrammerMode()) return;
+
+    if (calculatorState.hasCalculated) {
+      continueFromResult();
+      calculatorState.expression = `${NOT_OPERATOR}(${calculatorState.expression})`;
+    } else if (endsWithOperand()) {
+      return;
+    } else {
+      calculatorState.expression += NOT_OPERATOR;
+    }
+
+    syncCurrentInput();
+    emitChange();
+  }
+
+  /**
+   * Cycle the angle unit used by trig functions (DEG → RAD → GRAD)
+   */
+  function cycleAngleUnit() {
+    const nextIndex = (ANGLE_UNITS.indexOf(calculatorSettings.angleUnit) + 1) % ANGLE_UNITS.length;
+    applySettings({ angleUnit: ANGLE_UNITS[nextIndex] });
+  }
+
+  /**
+   * Insert a number as the next operand, or start a new expression with it
+   */
+  function insertOperand(text) {
+    resetStateForNewInput();
+
+    // Programmer mode works on whole numbers in the current base
+    if (isProgrammerMode()) {
+      const decimal = parseDecimal(text);
+      if (!decimal) return;
+      const integer = toWord(decimalToInteger(roundDecimal(decimal, 0, "truncate")), calculatorSettings);
+      text = formatInteger(integer, calculatorSettings.base, calculatorSettings);
+    }
+
+    if (endsWithOperand()) {
+      calculatorState.expression = "";
+    }
+
+    // Keep a negative operand intact after an operator or power
+    calculatorState.expression += calculatorState.expression && text.startsWith("-")
+      ? `(${text})`
+      : text;
+
+    syncCurrentInput();
+    emitChange();
+  }
+
+  /**
+   * Load an expression for editing
+   */
+  function loadExpression(expression) {
+    clearState();
+    calculatorState.expression = expression;
+
+    syncCurrentInput();
+    emitChange();
+  }
+
+  /**
+   * Calculate result
+   */
+  function calculateResult() {
+    if (checkErrorState()) return;
+
+    let expression;
+
+    if (calculatorState.hasCalculated) {
+      // Repeated equals replays the last operation on the result
+      const { repeatOperation } = calculatorState;
+      if (!repeatOperation) return;
+      const base = repeatOperation.operator === "^"
+        ? wrapNegativeOperand(calculatorState.currentInput)
+        : calculatorState.currentInput;
+      expression = base + repeatOperation.operator + formatValue(repeatOperation.operand);
+    } else {
+      expression = completeExpression(calculatorState.expression, calculatorSettings);
+    }
+
+    if (!expression) return;
+
+    let evaluation;
+    try {
+      evaluation = evaluateExpression(expression, getEvaluationContext());
+    } catch (error) {
+      setErrorState(error.message);
+      emitChange();
+      return;
+    }
+
+    if (evaluation.value === null) {
+      setErrorState("Invalid calculation");
+      emitChange();
+      return;
+    }
+
+    calculatorState.expression = expression;
+    calculatorState.currentInput = formatValue(evaluation.value);
+    calculatorState.repeatOperation = evaluation.repeatOperation;
+    calculatorState.lastResult = evaluation.value;
+    calculatorState.hasCalculated = true;
+
+    emit("calculate", {
+      expression,
+      result: calculatorState.currentInput,
+      base: isProgrammerMode() ? calculatorSettings.base : undefined,
+    });
+    setAns(formatNumber(toDecimalValue(evaluation.value)));
+    emitChange();
+  }
+
+  /**
+   * Convert a calculated value (decimal or programmer integer) to a decimal
+   */
+  function toDecimalValue(value) {
+    return typeof value === "bigint" ? createDecimal(value) : value;
+  }
+
+  /**
+   * Evaluate what is currently shown without changing the calculator state
+   */
+  function getCurrentValue() {
+    const { precision, roundingMode } = calculatorSettings;
+    if (checkErrorState()) return null;
+    if (calculatorState.hasCalculated) {
+      return roundDecimal(toDecimalValue(calculatorState.lastResult), precision, roundingMode);
+    }
+
+    const expression = completeExpression(calculatorState.expression, calculatorSettings);
+    if (!expression) return createDecimal(0n);
+
+    try {
+      const { value } = evaluateExpression(expression, getEvaluationContext());
+      return value === null ? null : roundDecimal(toDecimalValue(value), precision, roundingMode);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // ===== Memory Management =====
+
+  /**
+   * Restore a saved memory register, variables and Ans, skipping invalid values
+   */
+  function restoreMemory(saved) {
+    memoryState.memory = parseDecimal(saved.memory) ? saved.memory : null;
+    memoryState.ans = parseDecimal(saved.ans) ? saved.ans : "0";
+    memoryState.variables = {};
+
+    Object.entries(saved.variables || {}).forEach(([name, value]) => {
+      if (isValidVariableName(name) && parseDecimal(value)) {
+        memoryState.variables[name] = value;
+      }
+    });
+  }
+
+  /**
+   * Update Ans with the latest result
+   */
+  function setAns(value) {
+    memoryState.ans = value;
+    emit("memory", getMemory());
+  }
+
+  /**
+   * Handle the MC, MR, M+ and M− keys ("clear", "recall", "add" or "subtract")
+   */
+  function applyMemoryAction(action) {
+    if (action === "clear") {
+      memoryState.memory = null;
+    } else if (action === "recall") {
+      if (memoryState.memory !== null) insertOperand(memoryState.memory);
+      return;
+    } else {
+      const value = getCurrentValue();
+      if (!value) return;
+
+      const stored = parseDecimal(memoryState.memory ?? "0");
+      const operator = action === "add" ? "+" : "-";
+      memoryState.memory = formatNumber(performCalculation(stored, operator, value, calculatorSettings));
+    }
+
+    emit("memory", getMemory());
+  }
+
+  /**
+   * Store the current value under a variable name
+   */
+  function storeVariable(name) {
+    if (!isValidVariableName(name)) {
+      return { success: false, error: "Use 1–12 letters that aren't a function, constant or Ans" };
+    }
+
+    const value = getCurrentValue();
+    if (!value) {
+      return { success: false, error: "Nothing to store" };
+    }
+
+    memoryState.variables[name] = formatNumber(value);
+    emit("memory", getMemory());
+    return { success: true, error: null };
+  }
+
+  /**
+   * Delete a named variable
+   */
+  function deleteVariable(name) {
+    delete memoryState.variables[name];
+    emit("memory", getMemory());
+  }
+
+  // ===== Settings Management =====
+
+  /**
+   * Apply settings, ignoring invalid values
+   */
+  function applySettings({ precision, roundingMode, mode, angleUnit, base, wordSize, signed }) {
+    const parsedPrecision = parseInt(precision, 10);
+    const previousMode = calculatorSettings.mode;
+
+    if (parsedPrecision >= 0 && parsedPrecision <= MAX_PRECISION) {
+      calculatorSettings.precision = parsedPrecision;
+    }
+    if (ROUNDING_MODES.includes(roundingMode)) {
+      calculatorSettings.roundingMode = roundingMode;
+    }
+    if (CALCULATOR_MODES.includes(mode)) {
+      calculatorSettings.mode = mode;
+    }
+    if (ANGLE_UNITS.includes(angleUnit)) {
+      calculatorSettings.angleUnit = angleUnit;
+    }
+    if (NUMBER_BASES.includes(Number(base))) {
+      calculatorSettings.base = Number(base);
+    }
+    if (WORD_SIZES.includes(Number(wordSize))) {
+      calculatorSettings.wordSize = Number(wordSize);
+    }
+    if (typeof signed === "boolean") {
+      calculatorSettings.signed = signed;
+    }
+
+    emit("settings", getSettings());
+
+    // Decimal and integer expressions don't mix, so switching in or out of programmer mode starts over
+    if ((previousMode === "programmer") !== isProgrammerMode()) {
+      clearCalculator();
+      return;
+    }
+
+    // Re-round (or re-wrap) the shown result with the new settings
+    if (calculatorState.hasCalculated && calculatorState.lastResult !== null) {
+      if (typeof calculatorState.lastResult === "bigint") {
+        calculatorState.lastResult = toWord(calculatorState.lastResult, calculatorSettings);
+      }
+      calculatorState.currentInput = formatValue(calculatorState.lastResult);
+    }
+    emitChange();
+  }
+
+  applySettings(settings);
+  restoreMemory(memory);
+
+  return {
+    on,
+    getState,
+    restoreState,
+    getSettings,
+    getMemory,
+    getCurrentValue,
+    getDisplayedInteger,
+    formatNumber,
+    appendDigit,
+    addDecimalPoint,
+    toggleSign,
+    removeLastCharacter,
+    clearCalculator,
+    selectOperator,
+    openParenthesis,
+    closeParenthesis,
+    insertFunction,
+    insertNamedValue,
+    appendPostfix,
+    appendPower,
+    insertExponential,
+    insertNot,
+    cycleAngleUnit,
+    insertOperand,
+    loadExpression,
+    calculateResult,
+    setBase,
+    applySettings,
+    applyMemoryAction,
+    storeVariable,
+    deleteVariable,
+  };
+}
@@ -0,0 +1,140 @@
+/**
+ * Calculator Engine Tests
+ * Run with: node --test calculator/
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createCalculator } from "./engine.js";
+
+// ===== Helpers =====
+
+/**
+ * Press a sequence of keys: digits, ".", operators and "="
+ */
+function press(calculator, keys) {
+  for (const key of keys) {
+    if (/\d/.test(key)) calculator.appendDigit(key);
+    else if (key === ".") calculator.addDecimalPoint();
+    else if (key === "=") calculator.calculateResult();
+    else calculator.selectOperator(key);
+  }
+  return calculator.getState();
+}
+
+// ===== Chaining =====
+
+test("applies operator precedence when chaining", () => {
+  const calculator = createCalculator();
+  assert.equal(press(calculator, "2+3*4=").currentInput, "14");
+});
+
+test("continues from the result when an operator follows equals", () => {
+  const calculator = createCalculator();
+  press(calculator, "2+3=");
+  assert.equal(press(calculator, "*4=").currentInput, "20");
+});
+
+test("replaces a trailing operator with the newly selected one", () => {
+  const calculator = createCalculator();
+  assert.equal(press(calculator, "6+*2=").currentInput, "12");
+});
+
+test("starts a new calculation when a digit follows equals", () => {
+  const calculator = createCalculator();
+  press(calculator, "2+3=");
+  assert.equal(press(calculator, "7=").currentInput, "7");
+});
+
+// ===== Repeated Equals =====
+
+test("repeats the last operation on every extra equals", () => {
+  const calculator = createCalculator();
+  assert.equal(press(calculator, "2*3=").currentInput, "6");
+  assert.equal(press(calculator, "=").currentInput, "18");
+  assert.equal(press(calculator, "=").currentInput, "54");
+});
+
+test("repeats the last top-level operation of a chained expression", () => {
+  const calculator = createCalculator();
+  press(calculator, "2+3*4=");
+  assert.equal(press(calculator, "=").currentInput, "26");
+});
+
+// ===== Divide by Zero =====
+
+test("enters the error state on division by zero", () => {
+  const calculator = createCalculator();
+  const state = press(calculator, "1/0=");
+
+  assert.equal(state.isError, true);
+  assert.equal(state.currentInput, "Error");
+  assert.equal(state.errorMessage, "÷: division by zero");
+});
+
+test("recovers from the error state on the next digit", () => {
+  const calculator = createCalculator();
+  press(calculator, "1/0=");
+
+  const state = press(calculator, "5+1=");
+  assert.equal(state.isError, false);
+  assert.equal(state.currentInput, "6");
+});
+
+test("ignores backspace while in the error state", () => {
+  const calculator = createCalculator();
+  press(calculator, "1/0=");
+  calculator.removeLastCharacter();
+
+  assert.equal(calculator.getState().isError, true);
+});
+
+// ===== Backspace =====
+
+test("removes a single digit", () => {
+  const calculator = createCalculator();
+  press(calculator, "12+34");
+  calculator.removeLastCharacter();
+
+  assert.equal(calculator.getState().expression, "12+3");
+});
+
+test("removes a whole function name with its parenthesis", () => {
+  const calculator = createCalculator({ settings: { mode: "scientific" } });
+  press(calculator, "2+");
+  calculator.insertFunction("sin");
+  assert.equal(calculator.getState().expression, "2+sin(");
+
+  calculator.removeLastCharacter();
+  assert.equal(calculator.getState().expression, "2+");
+});
+
+test("removes an argument before the function name around it", () => {
+  const calculator = createCalculator({ settings: { mode: "scientific" } });
+  calculator.insertFunction("sqrt");
+  press(calculator, "9");
+
+  calculator.removeLastCharacter();
+  assert.equal(calculator.getState().expression, "sqrt(");
+
+  calculator.removeLastCharacter();
+  assert.equal(calculator.getState().expression, "");
+});
+
+test("removes a multi-letter named value in one step", () => {
+  const calculator = createCalculator({ settings: { mode: "scientific" } });
+  press(calculator, "3*");
+  calculator.insertNamedValue("Ans");
+
+  calculator.removeLastCharacter();
+  assert.equal(calculator.getState().expression, "3*");
+});
+
+test("leaves a calculated result alone", () => {
+  const calculator = createCalculator();
+  press(calculator, "2+3=");
+  calculator.removeLastCharacter();
+
+  assert.equal(calculator.getState().currentInput, "5");
+});
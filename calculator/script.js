@@ -1,283 +1,1051 @@
-"use strict";
-
 /**
  * Modern Calculator Application
  * Refactored with improved structure, better naming, and enhanced maintainability
+ *
+ * This module only deals with the page: the calculator itself lives in engine.js
+ * and reports its changes through events that the UI renders.
  */
 
+import {
+  ANS_NAME,
+  GUARD_DIGITS,
+  MAX_PRECISION,
+  createCalculator,
+  formatExpression,
+  formatInteger,
+  hasOwn,
+  isOperator,
+  isOperatorAvailable,
+  isValidDigit,
+  parseInteger,
+} from "./engine.js";
+import {
+  buildConverterCategories,
+  convertUnits,
+  validateConverterTable,
+} from "./converter.js";
+import { decimalToString, parseDecimal } from "./decimal.js";
+import { describeValues, linearRegression, parseDataList } from "./statistics.js";
+
 // ===== DOM Elements =====
 const domElements = {
   expression: document.getElementById("expression"),
   result: document.getElementById("result"),
   buttonsContainer: document.getElementById("keys"),
+  precisionSelect: document.getElementById("precisionSelect"),
+  roundingSelect: document.getElementById("roundingSelect"),
+  modeSwitch: document.getElementById("modeSwitch"),
+  angleButton: document.getElementById("angleButton"),
+  undoButton: document.getElementById("undoButton"),
+  redoButton: document.getElementById("redoButton"),
+  historyList: document.getElementById("historyList"),
+  historySearch: document.getElementById("historySearch"),
+  historyEmpty: document.getElementById("historyEmpty"),
+  exportCsvBtn: document.getElementById("exportCsvBtn"),
+  exportTextBtn: document.getElementById("exportTextBtn"),
+  clearHistoryBtn: document.getElementById("clearHistoryBtn"),
+  memoryIndicator: document.getElementById("memoryIndicator"),
+  variableForm: document.getElementById("variableForm"),
+  variableName: document.getElementById("variableName"),
+  variableMessage: document.getElementById("variableMessage"),
+  variableList: document.getElementById("variableList"),
+  decimalSettings: document.getElementById("decimalSettings"),
+  programmerSettings: document.getElementById("programmerSettings"),
+  wordSizeSelect: document.getElementById("wordSizeSelect"),
+  signednessSelect: document.getElementById("signednessSelect"),
+  baseReadout: document.getElementById("baseReadout"),
+  converterCategory: document.getElementById("converterCategory"),
+  converterFrom: document.getElementById("converterFrom"),
+  converterTo: document.getElementById("converterTo"),
+  converterSwap: document.getElementById("converterSwap"),
+  converterOutput: document.getElementById("converterOutput"),
+  converterUse: document.getElementById("converterUse"),
+  converterMessage: document.getElementById("converterMessage"),
+  tableSelect: document.getElementById("tableSelect"),
+  tableEditor: document.getElementById("tableEditor"),
+  tableSave: document.getElementById("tableSave"),
+  tableReset: document.getElementById("tableReset"),
+  tableImport: document.getElementById("tableImport"),
+  statsPanel: document.getElementById("statsPanel"),
+  statsKind: document.getElementById("statsKind"),
+  statsInput: document.getElementById("statsInput"),
+  statsAddBtn: document.getElementById("statsAddBtn"),
+  statsClearBtn: document.getElementById("statsClearBtn"),
+  statsMessage: document.getElementById("statsMessage"),
+  statsData: document.getElementById("statsData"),
+  statsResults: document.getElementById("statsResults"),
 };
 
-// ===== Calculator State =====
-const calculatorState = {
-  firstOperand: null,           // First number in calculation
-  secondOperand: null,          // Second number (for repeated equals)
-  operator: null,               // Current operator: "+", "-", "*", "/"
-  currentInput: "0",            // Current display input
-  hasCalculated: false,         // Flag for post-equals state
-  isError: false,               // Error state flag
+// ===== Storage =====
+const SETTINGS_STORAGE_KEY = "calculator_settings";
+const MEMORY_STORAGE_KEY = "calculator_memory";
+
+// ===== Calculation History =====
+const HISTORY_STORAGE_KEY = "calculator_history";
+const MAX_HISTORY_ENTRIES = 200;
+
+// Completed calculations, newest first: { expression, result, timestamp }
+let calculationHistory = [];
+
+// ===== Unit Converter =====
+const CONVERTER_STORAGE_KEY = "calculator_converter_tables";
+const CONVERTER_TABLE_URLS = {
+  units: "./data/units.json",
+  currency: "./data/currency-rates.json",
 };
 
-// ===== Utility Functions =====
+const converterState = {
+  bundled: { units: null, currency: null },   // Tables shipped in data/
+  tables: { units: null, currency: null },    // Tables in use (user edits override bundled ones)
+  category: "length",
+  output: null,                               // Last converted value (decimal string)
+};
+
+// ===== Statistics =====
+const STATS_STORAGE_KEY = "calculator_stats";
+
+const statsState = {
+  isPaired: false,              // Entries are x,y pairs for linear regression
+  entries: [],                  // Decimals, or { x, y } pairs of decimals
+  pendingX: null,               // x entered on the keypad, waiting for its y
+};
+
+// ===== Calculator =====
+
+/**
+ * Read a saved JSON object from localStorage (empty when missing or invalid)
+ */
+function loadStoredObject(key) {
+  try {
+    return JSON.parse(localStorage.getItem(key)) || {};
+  } catch (error) {
+    console.error(`Error loading ${key}:`, error);
+    return {};
+  }
+}
+
+const calculator = createCalculator({
+  settings: loadStoredObject(SETTINGS_STORAGE_KEY),
+  memory: loadStoredObject(MEMORY_STORAGE_KEY),
+});
+
+// ===== Display =====
+
+/**
+ * Check if a calculator state is an error
+ */
+function isErrorState(state) {
+  return state.isError || state.currentInput === "Error";
+}
 
 /**
- * Check if calculator is in error state
+ * Update the display with the calculator state
  */
-function checkErrorState() {
-  return calculatorState.isError || calculatorState.currentInput === "Error";
+function updateDisplay(state = calculator.getState()) {
+  let expressionText = formatExpression(state.expression);
+
+  if (state.hasCalculated && expressionText) {
+    expressionText += " =";
+  } else if (state.isError) {
+    expressionText = state.errorMessage;
+  } else if (!expressionText && calculator.getSettings().mode === "statistics") {
+    expressionText = getStatsStatus();
+  }
+
+  domElements.expression.textContent = expressionText;
+  domElements.result.textContent = state.currentInput;
+  renderBaseReadout(state);
+  renderConversion();
+
+  // Apply error styling if needed
+  if (state.currentInput === "Error") {
+    domElements.result.classList.add("error");
+  } else {
+    domElements.result.classList.remove("error");
+  }
 }
 
 /**
- * Format number to avoid floating-point precision issues
+ * Show the current value in every base below the result (programmer mode)
  */
-function formatDisplayNumber(number) {
-  if (!Number.isFinite(number)) return "Error";
-  const rounded = Math.round((number + Number.EPSILON) * 1e12) / 1e12;
-  return String(rounded);
+function renderBaseReadout(state) {
+  const settings = calculator.getSettings();
+  const isProgrammer = settings.mode === "programmer";
+
+  domElements.baseReadout.classList.toggle("hidden", !isProgrammer);
+  if (!isProgrammer) return;
+
+  const value = isErrorState(state) ? null : calculator.getDisplayedInteger();
+
+  domElements.baseReadout.querySelectorAll("[data-base]").forEach((row) => {
+    const base = Number(row.dataset.base);
+    row.setAttribute("aria-pressed", String(base === settings.base));
+    row.querySelector(".base-value").textContent = value === null ? "—" : formatInteger(value, base, settings);
+  });
 }
 
+// ===== Undo and Redo =====
+const MAX_UNDO_DEPTH = 100;
+
+const undoState = {
+  past: [],                     // States before each key action, oldest first
+  future: [],                   // Undone states, most recently undone last
+  context: "",                  // Mode and base the snapshots were taken in
+};
+
 /**
- * Get current input as a number
+ * Check if two calculator states look the same to the user
  */
-function getCurrentInputAsNumber() {
-  const { currentInput } = calculatorState;
-  if (currentInput === "." || currentInput === "-.") return 0;
-  return Number(currentInput);
+function isSameState(a, b) {
+  return a.expression === b.expression &&
+    a.currentInput === b.currentInput &&
+    a.hasCalculated === b.hasCalculated &&
+    a.isError === b.isError &&
+    a.errorMessage === b.errorMessage;
 }
 
 /**
- * Perform arithmetic operation
+ * Run a key action, keeping the previous state for undo if the action changed it
  */
-function performCalculation(a, operator, b) {
-  switch (operator) {
-    case "+": return a + b;
-    case "-": return a - b;
-    case "*": return a * b;
-    case "/": return b === 0 ? NaN : a / b;
-    default: return NaN;
-  }
+function runKeyAction(action) {
+  const previous = calculator.getState();
+  action();
+  if (isSameState(previous, calculator.getState())) return;
+
+  undoState.past.push(previous);
+  if (undoState.past.length > MAX_UNDO_DEPTH) undoState.past.shift();
+  undoState.future = [];
+  renderUndoButtons();
 }
 
 /**
- * Update the display with current state
+ * Go back to the state before the last key action
  */
-function updateDisplay() {
-  const expressionParts = [];
+function undo() {
+  if (!undoState.past.length) return;
 
-  if (calculatorState.firstOperand !== null) {
-    expressionParts.push(formatDisplayNumber(calculatorState.firstOperand));
-  }
+  undoState.future.push(calculator.getState());
+  calculator.restoreState(undoState.past.pop());
+  renderUndoButtons();
+}
+
+/**
+ * Reapply the last undone key action
+ */
+function redo() {
+  if (!undoState.future.length) return;
 
-  if (calculatorState.operator) {
-    expressionParts.push(calculatorState.operator);
+  undoState.past.push(calculator.getState());
+  calculator.restoreState(undoState.future.pop());
+  renderUndoButtons();
+}
+
+/**
+ * Drop the undo stacks when the mode or base changes, since older expressions can't be read back
+ */
+function syncUndoContext(settings) {
+  const context = settings.mode === "programmer" ? `programmer:${settings.base}` : "decimal";
+  if (context === undoState.context) return;
+
+  undoState.context = context;
+  undoState.past = [];
+  undoState.future = [];
+  renderUndoButtons();
+}
+
+/**
+ * Enable the undo and redo buttons when there is something to undo or redo
+ */
+function renderUndoButtons() {
+  domElements.undoButton.disabled = undoState.past.length === 0;
+  domElements.redoButton.disabled = undoState.future.length === 0;
+}
+
+// ===== Memory Management =====
+
+/**
+ * Persist memory register, variables and Ans to localStorage
+ */
+function saveMemory(memory) {
+  localStorage.setItem(MEMORY_STORAGE_KEY, JSON.stringify(memory));
+}
+
+/**
+ * Render the memory indicator and the variable list
+ */
+function renderMemory(memory = calculator.getMemory()) {
+  domElements.memoryIndicator.classList.toggle("hidden", memory.memory === null);
+  domElements.memoryIndicator.title = memory.memory === null
+    ? ""
+    : `Memory: ${memory.memory}`;
+
+  domElements.variableList.innerHTML = "";
+
+  const entries = [[ANS_NAME, memory.ans], ...Object.entries(memory.variables)];
+
+  entries.forEach(([name, value]) => {
+    const item = document.createElement("li");
+    item.className = "variable-item";
+
+    const insertButton = document.createElement("button");
+    insertButton.className = "variable-insert";
+    insertButton.dataset.name = name;
+    insertButton.title = `Insert ${name}`;
+    insertButton.textContent = `${name} = ${value}`;
+    item.appendChild(insertButton);
+
+    if (name !== ANS_NAME) {
+      const deleteButton = document.createElement("button");
+      deleteButton.className = "variable-delete";
+      deleteButton.dataset.delete = name;
+      deleteButton.setAttribute("aria-label", `Delete ${name}`);
+      deleteButton.textContent = "×";
+      item.appendChild(deleteButton);
+    }
+
+    domElements.variableList.appendChild(item);
+  });
+}
+
+/**
+ * Handle clicks in the variable list
+ */
+function handleVariableClick(event) {
+  const deleteButton = event.target.closest("[data-delete]");
+  if (deleteButton) {
+    calculator.deleteVariable(deleteButton.dataset.delete);
+    return;
   }
 
-  if (calculatorState.secondOperand !== null && !calculatorState.hasCalculated) {
-    expressionParts.push(formatDisplayNumber(calculatorState.secondOperand));
+  const insertButton = event.target.closest("[data-name]");
+  if (insertButton) calculator.insertNamedValue(insertButton.dataset.name);
+}
+
+// ===== History Management =====
+
+/**
+ * Load calculation history from localStorage
+ */
+function loadHistory() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(HISTORY_STORAGE_KEY));
+    calculationHistory = Array.isArray(saved) ? saved : [];
+  } catch (error) {
+    console.error("Error loading calculator history:", error);
+    calculationHistory = [];
   }
+  renderHistory();
+}
 
-  domElements.expression.textContent = expressionParts.join(" ");
-  domElements.result.textContent = calculatorState.currentInput;
+/**
+ * Persist calculation history to localStorage
+ */
+function saveHistory() {
+  localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(calculationHistory));
+}
 
-  // Apply error styling if needed
-  if (calculatorState.currentInput === "Error") {
-    domElements.result.classList.add("error");
+/**
+ * Record a completed calculation at the top of the history tape
+ */
+function recordCalculation({ expression, result, base }) {
+  const entry = { expression, result, timestamp: Date.now() };
+
+  // Programmer entries are written in a base and must be read back in it
+  if (base) entry.base = base;
+
+  calculationHistory.unshift(entry);
+  calculationHistory = calculationHistory.slice(0, MAX_HISTORY_ENTRIES);
+
+  saveHistory();
+  renderHistory();
+}
+
+/**
+ * Remove all history entries
+ */
+function clearHistory() {
+  calculationHistory = [];
+  saveHistory();
+  renderHistory();
+}
+
+/**
+ * Get history entries matching the search box, keeping their tape index
+ */
+function getFilteredHistory() {
+  const query = domElements.historySearch.value.trim().toLowerCase();
+
+  return calculationHistory
+    .map((entry, index) => ({ entry, index }))
+    .filter(({ entry }) => !query ||
+      formatExpression(entry.expression).toLowerCase().includes(query) ||
+      entry.expression.toLowerCase().includes(query) ||
+      entry.result.toLowerCase().includes(query));
+}
+
+/**
+ * Render the history tape
+ */
+function renderHistory() {
+  const entries = getFilteredHistory();
+  domElements.historyList.innerHTML = "";
+
+  entries.forEach(({ entry, index }) => {
+    const item = document.createElement("li");
+    item.className = "history-item";
+
+    const expressionButton = document.createElement("button");
+    expressionButton.className = "history-expression";
+    expressionButton.dataset.index = String(index);
+    expressionButton.dataset.load = "expression";
+    expressionButton.title = "Edit this expression";
+    expressionButton.textContent = `${formatExpression(entry.expression)} =`;
+
+    const resultButton = document.createElement("button");
+    resultButton.className = "history-result";
+    resultButton.dataset.index = String(index);
+    resultButton.dataset.load = "result";
+    resultButton.title = "Use this result";
+    resultButton.textContent = entry.result;
+
+    const time = document.createElement("time");
+    time.className = "history-time";
+    time.dateTime = new Date(entry.timestamp).toISOString();
+    time.textContent = new Date(entry.timestamp).toLocaleString();
+
+    item.append(expressionButton, resultButton, time);
+    domElements.historyList.appendChild(item);
+  });
+
+  domElements.historyEmpty.textContent = calculationHistory.length === 0
+    ? "No calculations yet"
+    : "No matching calculations";
+  domElements.historyEmpty.classList.toggle("hidden", entries.length > 0);
+}
+
+/**
+ * Quote a value for CSV output
+ */
+function toCsvField(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build the history as CSV (oldest first)
+ */
+function historyToCsv() {
+  const rows = [...calculationHistory].reverse().map((entry) => [
+    new Date(entry.timestamp).toISOString(),
+    formatExpression(entry.expression),
+    entry.result,
+  ].map(toCsvField).join(","));
+
+  return ["timestamp,expression,result", ...rows].join("\n");
+}
+
+/**
+ * Build the history as plain text (oldest first)
+ */
+function historyToText() {
+  return [...calculationHistory].reverse().map((entry) =>
+    `[${new Date(entry.timestamp).toLocaleString()}] ${formatExpression(entry.expression)} = ${entry.result}`
+  ).join("\n");
+}
+
+/**
+ * Download text content as a file
+ */
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Handle clicks on a history entry
+ */
+function handleHistoryClick(event) {
+  const button = event.target.closest("[data-load]");
+  if (!button) return;
+
+  const entry = calculationHistory[Number(button.dataset.index)];
+  if (!entry) return;
+
+  if (button.dataset.load === "expression") {
+    if (entry.base) {
+      calculator.applySettings({ mode: "programmer", base: entry.base });
+    } else if (calculator.getSettings().mode === "programmer") {
+      calculator.applySettings({ mode: "scientific" });
+    }
+    calculator.loadExpression(entry.expression);
+  } else if (entry.base) {
+    const value = parseInteger(entry.result.replace(/^-/, ""), entry.base, calculator.getSettings());
+    calculator.insertOperand((entry.result.startsWith("-") ? -value : value).toString());
   } else {
-    domElements.result.classList.remove("error");
+    calculator.insertOperand(entry.result);
   }
 }
 
+// ===== Converter Management =====
+
 /**
- * Reset calculator state for new input
+ * Load bundled tables from data/ and apply saved user edits on top
  */
-function resetStateForNewInput() {
-  if (checkErrorState() || calculatorState.hasCalculated) {
-    calculatorState.firstOperand = null;
-    calculatorState.secondOperand = null;
-    calculatorState.operator = null;
-    calculatorState.currentInput = "0";
-    calculatorState.hasCalculated = false;
-    calculatorState.isError = false;
+async function loadConverterTables() {
+  let saved = {};
+  try {
+    saved = JSON.parse(localStorage.getItem(CONVERTER_STORAGE_KEY)) || {};
+  } catch (error) {
+    console.error("Error loading converter tables:", error);
   }
-}
 
-// ===== Operation Functions =====
+  const loadErrors = [];
+
+  await Promise.all(Object.entries(CONVERTER_TABLE_URLS).map(async ([name, url]) => {
+    try {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`Request failed: ${response.status} ${response.statusText}`);
+      }
+      converterState.bundled[name] = await response.json();
+    } catch (error) {
+      console.error(`Error fetching ${url}:`, error);
+      loadErrors.push(name);
+    }
+
+    try {
+      if (saved[name]) validateConverterTable(name, saved[name]);
+      converterState.tables[name] = saved[name] || converterState.bundled[name];
+    } catch (error) {
+      console.error(`Ignoring saved ${name} table:`, error);
+      converterState.tables[name] = converterState.bundled[name];
+    }
+  }));
+
+  if (loadErrors.length) {
+    showConverterMessage(
+      `Couldn't load bundled ${loadErrors.join(" and ")} tables. Serve the app over HTTP or import a table below.`,
+      "error"
+    );
+  }
+
+  renderConverterCategories();
+  renderTableEditor();
+}
 
 /**
- * Append digit to current input
+ * Persist the tables the user has edited
  */
-function appendDigit(digit) {
-  resetStateForNewInput();
+function saveConverterTables() {
+  const edited = {};
 
-  if (calculatorState.currentInput === "0") {
-    calculatorState.currentInput = digit;
-  } else if (calculatorState.currentInput === "-0") {
-    calculatorState.currentInput = "-" + digit;
-  } else {
-    calculatorState.currentInput += digit;
+  Object.keys(CONVERTER_TABLE_URLS).forEach((name) => {
+    if (converterState.tables[name] && converterState.tables[name] !== converterState.bundled[name]) {
+      edited[name] = converterState.tables[name];
+    }
+  });
+
+  localStorage.setItem(CONVERTER_STORAGE_KEY, JSON.stringify(edited));
+}
+
+/**
+ * Replace a converter table after validating it
+ */
+function setConverterTable(name, table) {
+  try {
+    validateConverterTable(name, table);
+  } catch (error) {
+    showConverterMessage(error.message, "error");
+    return false;
   }
 
-  updateDisplay();
+  converterState.tables[name] = table;
+  saveConverterTables();
+  renderConverterCategories();
+  renderTableEditor();
+  showConverterMessage("Table saved", "success");
+  return true;
 }
 
 /**
- * Add decimal point to current input
+ * Save the JSON typed into the table editor
  */
-function addDecimalPoint() {
-  resetStateForNewInput();
+function saveTableEditor() {
+  const name = domElements.tableSelect.value;
 
-  if (!calculatorState.currentInput.includes(".")) {
-    calculatorState.currentInput += ".";
+  try {
+    setConverterTable(name, JSON.parse(domElements.tableEditor.value));
+  } catch (error) {
+    showConverterMessage(`Invalid JSON: ${error.message}`, "error");
   }
+}
 
-  updateDisplay();
+/**
+ * Drop user edits and go back to the bundled table
+ */
+function resetConverterTable() {
+  const name = domElements.tableSelect.value;
+
+  converterState.tables[name] = converterState.bundled[name];
+  saveConverterTables();
+  renderConverterCategories();
+  renderTableEditor();
+  showConverterMessage("Restored the bundled table", "success");
 }
 
 /**
- * Toggle sign of current input
+ * Import a converter table from a JSON file
  */
-function toggleSign() {
-  if (checkErrorState()) return;
-  if (calculatorState.currentInput === "0" || calculatorState.currentInput === "0.") return;
+async function importConverterTable(file) {
+  if (!file) return;
 
-  calculatorState.currentInput = calculatorState.currentInput.startsWith("-")
-    ? calculatorState.currentInput.slice(1)
-    : "-" + calculatorState.currentInput;
+  try {
+    const table = JSON.parse(await file.text());
+    setConverterTable(domElements.tableSelect.value, table);
+  } catch (error) {
+    console.error("Error importing converter table:", error);
+    showConverterMessage(`Couldn't import ${file.name}: ${error.message}`, "error");
+  }
+}
 
-  updateDisplay();
+/**
+ * Show a converter status message
+ */
+function showConverterMessage(message, type = "info") {
+  domElements.converterMessage.textContent = message;
+  domElements.converterMessage.classList.toggle("error", type === "error");
 }
 
 /**
- * Remove last digit from input
+ * Fill a select element with [value, label] options
  */
-function removeLastCharacter() {
-  if (checkErrorState()) return;
-  if (calculatorState.hasCalculated) return;
+function fillSelect(select, options, selectedValue) {
+  select.innerHTML = "";
 
-  const { currentInput } = calculatorState;
+  options.forEach(([value, label]) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  });
 
-  if (currentInput.length <= 1 || (currentInput.length === 2 && currentInput.startsWith("-"))) {
-    calculatorState.currentInput = "0";
-  } else {
-    calculatorState.currentInput = currentInput.slice(0, -1);
-    if (calculatorState.currentInput === "-") {
-      calculatorState.currentInput = "0";
-    }
+  if (options.some(([value]) => value === selectedValue)) {
+    select.value = selectedValue;
   }
+}
 
-  updateDisplay();
+/**
+ * Render the category select and the unit selects for the current category
+ */
+function renderConverterCategories() {
+  const categories = buildConverterCategories(converterState.tables);
+  const keys = Object.keys(categories);
+
+  if (!keys.includes(converterState.category)) {
+    converterState.category = keys[0] || "";
+  }
+
+  fillSelect(
+    domElements.converterCategory,
+    keys.map((key) => [key, categories[key].label || key]),
+    converterState.category
+  );
+  renderConverterUnits();
 }
 
 /**
- * Clear all calculator state
+ * Render the from/to unit selects, keeping the current choices where possible
  */
-function clearCalculator() {
-  calculatorState.firstOperand = null;
-  calculatorState.secondOperand = null;
-  calculatorState.operator = null;
-  calculatorState.currentInput = "0";
-  calculatorState.hasCalculated = false;
-  calculatorState.isError = false;
+function renderConverterUnits() {
+  const category = buildConverterCategories(converterState.tables)[converterState.category];
+  const unitKeys = category ? Object.keys(category.units) : [];
+  const options = unitKeys.map((key) => [key, `${category.units[key].label || key} (${key})`]);
 
-  updateDisplay();
+  const previousFrom = domElements.converterFrom.value;
+  const previousTo = domElements.converterTo.value;
+
+  fillSelect(domElements.converterFrom, options, unitKeys.includes(previousFrom) ? previousFrom : unitKeys[0]);
+  fillSelect(domElements.converterTo, options, unitKeys.includes(previousTo) ? previousTo : unitKeys[1] || unitKeys[0]);
+
+  renderConversion();
 }
 
 /**
- * Select operator
+ * Convert the current value with the selected units and show the result
  */
-function selectOperator(operator) {
-  if (checkErrorState()) return;
+function renderConversion() {
+  const category = buildConverterCategories(converterState.tables)[converterState.category];
+  const fromUnit = category && category.units[domElements.converterFrom.value];
+  const toUnit = category && category.units[domElements.converterTo.value];
+  const value = calculator.getCurrentValue();
 
-  const inputNumber = getCurrentInputAsNumber();
+  converterState.output = null;
+  domElements.converterUse.disabled = true;
 
-  // Continue from result after equals
-  if (calculatorState.hasCalculated) {
-    calculatorState.hasCalculated = false;
-    calculatorState.secondOperand = null;
+  if (!fromUnit || !toUnit) {
+    domElements.converterOutput.textContent = "—";
+    return;
   }
 
-  if (calculatorState.firstOperand === null) {
-    calculatorState.firstOperand = inputNumber;
-    calculatorState.operator = operator;
-    calculatorState.currentInput = "0";
-    updateDisplay();
+  if (!value) {
+    domElements.converterOutput.textContent = "Enter a valid number";
     return;
   }
 
-  // Chain calculations
-  if (calculatorState.operator && calculatorState.currentInput !== "0") {
-    calculatorState.secondOperand = inputNumber;
-    const result = performCalculation(
-      calculatorState.firstOperand,
-      calculatorState.operator,
-      calculatorState.secondOperand
-    );
+  const { precision, roundingMode } = calculator.getSettings();
+  const converted = convertUnits(value, fromUnit, toUnit, precision + GUARD_DIGITS, roundingMode);
+
+  converterState.output = calculator.formatNumber(converted);
+  domElements.converterOutput.textContent =
+    `${calculator.formatNumber(value)} ${domElements.converterFrom.value} = ` +
+    `${converterState.output} ${domElements.converterTo.value}`;
+  domElements.converterUse.disabled = false;
+}
+
+/**
+ * Swap the from and to units
+ */
+function swapConverterUnits() {
+  const from = domElements.converterFrom.value;
+  domElements.converterFrom.value = domElements.converterTo.value;
+  domElements.converterTo.value = from;
+  renderConversion();
+}
+
+/**
+ * Put the converted value back into the calculator to keep calculating
+ */
+function useConversionResult() {
+  if (converterState.output === null) return;
+  calculator.insertOperand(converterState.output);
+}
+
+/**
+ * Show the selected table as editable JSON
+ */
+function renderTableEditor() {
+  const table = converterState.tables[domElements.tableSelect.value];
+  domElements.tableEditor.value = table ? JSON.stringify(table, null, 2) : "";
+}
+
+// ===== Statistics Management =====
+
+/**
+ * Load the statistics data list from localStorage
+ */
+function loadStats() {
+  const saved = loadStoredObject(STATS_STORAGE_KEY);
+
+  statsState.isPaired = saved.isPaired === true;
+  statsState.entries = (Array.isArray(saved.entries) ? saved.entries : [])
+    .map((entry) => (statsState.isPaired
+      ? { x: parseDecimal(entry && entry.x), y: parseDecimal(entry && entry.y) }
+      : parseDecimal(entry)))
+    .filter((entry) => (statsState.isPaired ? entry.x && entry.y : entry));
+
+  domElements.statsKind.value = statsState.isPaired ? "pairs" : "values";
+  renderStats();
+}
+
+/**
+ * Persist the statistics data list to localStorage
+ */
+function saveStats() {
+  const entries = statsState.entries.map((entry) => (statsState.isPaired
+    ? { x: decimalToString(entry.x), y: decimalToString(entry.y) }
+    : decimalToString(entry)));
+
+  localStorage.setItem(STATS_STORAGE_KEY, JSON.stringify({ isPaired: statsState.isPaired, entries }));
+}
+
+/**
+ * Describe the keypad entry state for the expression display
+ */
+function getStatsStatus() {
+  if (statsState.pendingX) {
+    return `x = ${decimalToString(statsState.pendingX)}, enter y`;
+  }
+  return `n = ${statsState.entries.length}`;
+}
 
-    if (!Number.isFinite(result)) {
-      calculatorState.currentInput = "Error";
-      calculatorState.isError = true;
-      calculatorState.firstOperand = null;
-      calculatorState.secondOperand = null;
-      calculatorState.operator = null;
-      updateDisplay();
+/**
+ * Handle the statistics keys ("add", "remove" or "clear")
+ */
+function handleStatsKey(action) {
+  if (action === "add") {
+    const value = calculator.getCurrentValue();
+    if (!value) {
+      showStatsMessage("Enter a valid number first");
       return;
     }
 
-    calculatorState.firstOperand = result;
-    calculatorState.secondOperand = null;
-    calculatorState.operator = operator;
-    calculatorState.currentInput = "0";
-    updateDisplay();
-    return;
+    if (!statsState.isPaired) {
+      statsState.entries.push(value);
+    } else if (!statsState.pendingX) {
+      statsState.pendingX = value;
+    } else {
+      statsState.entries.push({ x: statsState.pendingX, y: value });
+      statsState.pendingX = null;
+    }
+  } else if (action === "remove") {
+    if (statsState.pendingX) statsState.pendingX = null;
+    else statsState.entries.pop();
+  } else if (action === "clear") {
+    statsState.entries = [];
+    statsState.pendingX = null;
   }
 
-  // Allow changing operator without entering next number
-  calculatorState.operator = operator;
+  showStatsMessage("");
+  saveStats();
+  renderStats();
+
+  // Start the next entry from an empty display
+  if (action === "add") calculator.clearCalculator();
+  else updateDisplay();
+}
+
+/**
+ * Add pasted or typed data to the list
+ */
+function addStatsData(text) {
+  const { entries, invalid } = parseDataList(text, statsState.isPaired);
+
+  statsState.entries.push(...entries);
+  showStatsMessage(invalid.length
+    ? `Skipped ${invalid.length} unreadable ${invalid.length === 1 ? "entry" : "entries"}: ${invalid.slice(0, 3).join(", ")}`
+    : "");
+
+  saveStats();
+  renderStats();
   updateDisplay();
+  return entries.length > 0;
 }
 
 /**
- * Calculate result
+ * Switch between single values and x,y pairs, which starts a new data list
  */
-function calculateResult() {
-  if (checkErrorState()) return;
-  if (calculatorState.operator === null || calculatorState.firstOperand === null) return;
+function setStatsKind(kind) {
+  const isPaired = kind === "pairs";
+  if (isPaired === statsState.isPaired) return;
 
-  const inputNumber = getCurrentInputAsNumber();
-  const secondOperand = calculatorState.hasCalculated
-    ? (calculatorState.secondOperand ?? inputNumber)
-    : inputNumber;
+  statsState.isPaired = isPaired;
+  statsState.entries = [];
+  statsState.pendingX = null;
 
-  const result = performCalculation(
-    calculatorState.firstOperand,
-    calculatorState.operator,
-    secondOperand
-  );
+  saveStats();
+  renderStats();
+  updateDisplay();
+}
 
-  if (!Number.isFinite(result)) {
-    calculatorState.currentInput = "Error";
-    calculatorState.isError = true;
-    calculatorState.firstOperand = null;
-    calculatorState.secondOperand = null;
-    calculatorState.operator = null;
-    updateDisplay();
-    return;
+/**
+ * Remove one data point by its index
+ */
+function removeStatsEntry(index) {
+  statsState.entries.splice(index, 1);
+  saveStats();
+  renderStats();
+  updateDisplay();
+}
+
+/**
+ * Show a statistics status message
+ */
+function showStatsMessage(message) {
+  domElements.statsMessage.textContent = message;
+}
+
+/**
+ * Build the [label, decimal or list] rows for the current data
+ */
+function getStatsRows() {
+  const { precision, roundingMode } = calculator.getSettings();
+  const places = precision + GUARD_DIGITS;
+
+  if (statsState.isPaired) {
+    const regression = linearRegression(statsState.entries, places, roundingMode);
+    if (!regression) return [["n", statsState.entries.length]];
+
+    return [
+      ["n", regression.count],
+      ["Mean x", regression.meanX],
+      ["Mean y", regression.meanY],
+      ["Slope (b)", regression.slope],
+      ["Intercept (a)", regression.intercept],
+      ["Correlation (r)", regression.correlation],
+      ["r²", regression.determination],
+    ];
   }
 
-  calculatorState.secondOperand = secondOperand;
-  calculatorState.firstOperand = result;
-  calculatorState.currentInput = formatDisplayNumber(result);
-  calculatorState.hasCalculated = true;
+  const summary = describeValues(statsState.entries, places, roundingMode);
+  if (!summary) return [["n", 0]];
 
-  updateDisplay();
+  return [
+    ["n", summary.count],
+    ["Sum", summary.sum],
+    ["Mean", summary.mean],
+    ["Median", summary.median],
+    ["Mode", summary.modes],
+    ["Min", summary.min],
+    ["Max", summary.max],
+    ["Variance (sample)", summary.sampleVariance],
+    ["Std dev (sample)", summary.sampleStandardDeviation],
+    ["Variance (population)", summary.populationVariance],
+    ["Std dev (population)", summary.populationStandardDeviation],
+  ];
+}
+
+/**
+ * Create a result button that inserts its value into the calculator
+ */
+function createStatsValue(decimal) {
+  const button = document.createElement("button");
+  button.className = "stats-value";
+  button.textContent = calculator.formatNumber(decimal);
+  button.dataset.value = button.textContent;
+  button.title = "Use this value";
+  return button;
+}
+
+/**
+ * Render the data list and its statistics
+ */
+function renderStats() {
+  domElements.statsData.innerHTML = "";
+
+  statsState.entries.forEach((entry, index) => {
+    const item = document.createElement("li");
+    item.className = "variable-item";
+
+    const value = document.createElement("span");
+    value.className = "variable-insert";
+    value.textContent = statsState.isPaired
+      ? `(${decimalToString(entry.x)}, ${decimalToString(entry.y)})`
+      : decimalToString(entry);
+
+    const deleteButton = document.createElement("button");
+    deleteButton.className = "variable-delete";
+    deleteButton.dataset.index = String(index);
+    deleteButton.setAttribute("aria-label", `Remove data point ${index + 1}`);
+    deleteButton.textContent = "×";
+
+    item.append(value, deleteButton);
+    domElements.statsData.appendChild(item);
+  });
+
+  domElements.statsResults.innerHTML = "";
+
+  getStatsRows().forEach(([label, value]) => {
+    const term = document.createElement("dt");
+    term.textContent = label;
+
+    const description = document.createElement("dd");
+    if (typeof value === "number") {
+      description.textContent = String(value);
+    } else if (Array.isArray(value)) {
+      if (value.length) description.append(...value.map(createStatsValue));
+      else description.textContent = "none";
+    } else if (value) {
+      description.appendChild(createStatsValue(value));
+    } else {
+      description.textContent = "—";
+    }
+
+    domElements.statsResults.append(term, description);
+  });
+}
+
+// ===== Settings Management =====
+
+/**
+ * Persist settings and sync the settings controls
+ */
+function renderSettings(settings = calculator.getSettings()) {
+  domElements.precisionSelect.value = String(settings.precision);
+  domElements.roundingSelect.value = settings.roundingMode;
+  domElements.angleButton.textContent = settings.angleUnit.toUpperCase();
+  domElements.wordSizeSelect.value = String(settings.wordSize);
+  domElements.signednessSelect.value = settings.signed ? "signed" : "unsigned";
+  updateModeDisplay(settings);
+  localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+}
+
+/**
+ * Show the keys and switch state for the current mode
+ */
+function updateModeDisplay(settings) {
+  const { mode } = settings;
+
+  domElements.buttonsContainer.classList.toggle("is-scientific", mode === "scientific");
+  domElements.buttonsContainer.classList.toggle("is-programmer", mode === "programmer");
+  domElements.buttonsContainer.classList.toggle("is-statistics", mode === "statistics");
+  domElements.statsPanel.classList.toggle("hidden", mode !== "statistics");
+  domElements.decimalSettings.classList.toggle("hidden", mode === "programmer");
+  domElements.programmerSettings.classList.toggle("hidden", mode !== "programmer");
+
+  // Disable digits that don't exist in the current base
+  domElements.buttonsContainer.querySelectorAll("[data-digit]").forEach((button) => {
+    button.disabled = !isValidDigit(button.dataset.digit, settings);
+  });
+  domElements.buttonsContainer.querySelector("[data-action='dot']").disabled = mode === "programmer";
+
+  domElements.modeSwitch.querySelectorAll("[data-mode]").forEach((button) => {
+    button.setAttribute("aria-pressed", String(button.dataset.mode === mode));
+  });
+}
+
+/**
+ * Fill the precision select with the supported range
+ */
+function renderPrecisionOptions() {
+  for (let places = 0; places <= MAX_PRECISION; places++) {
+    const option = document.createElement("option");
+    option.value = String(places);
+    option.textContent = String(places);
+    domElements.precisionSelect.appendChild(option);
+  }
 }
 
 // ===== Event Handlers =====
 
+calculator.on("change", updateDisplay);
+calculator.on("settings", (settings) => {
+  renderSettings(settings);
+  syncUndoContext(settings);
+  renderStats();
+});
+calculator.on("calculate", recordCalculation);
+calculator.on("memory", (memory) => {
+  saveMemory(memory);
+  renderMemory(memory);
+});
+
+/**
+ * Dispatch a calculator key by its data attributes
+ */
+function handleKeyButton(dataset) {
+  if (dataset.digit) calculator.appendDigit(dataset.digit);
+  else if (dataset.op) calculator.selectOperator(dataset.op);
+  else if (dataset.action === "dot") calculator.addDecimalPoint();
+  else if (dataset.action === "clear") calculator.clearCalculator();
+  else if (dataset.action === "backspace") calculator.removeLastCharacter();
+  else if (dataset.action === "sign") calculator.toggleSign();
+  else if (dataset.action === "open-paren") calculator.openParenthesis();
+  else if (dataset.action === "close-paren") calculator.closeParenthesis();
+  else if (dataset.fn) calculator.insertFunction(dataset.fn);
+  else if (dataset.constant) calculator.insertNamedValue(dataset.constant);
+  else if (dataset.memory) calculator.applyMemoryAction(dataset.memory);
+  else if (dataset.postfix) calculator.appendPostfix(dataset.postfix);
+  else if (dataset.power) calculator.appendPower(dataset.power);
+  else if (dataset.exponential) calculator.insertExponential(dataset.exponential);
+  else if (dataset.action === "angle") calculator.cycleAngleUnit();
+  else if (dataset.action === "not") calculator.insertNot();
+  else if (dataset.action === "equals") calculator.calculateResult();
+}
+
 /**
  * Handle button clicks
  */
@@ -287,36 +1055,208 @@ domElements.buttonsContainer.addEventListener("click", (event) => {
 
   const { dataset } = button;
 
-  if (dataset.digit) appendDigit(dataset.digit);
-  else if (dataset.op) selectOperator(dataset.op);
-  else if (dataset.action === "dot") addDecimalPoint();
-  else if (dataset.action === "clear") clearCalculator();
-  else if (dataset.action === "backspace") removeLastCharacter();
-  else if (dataset.action === "sign") toggleSign();
-  else if (dataset.action === "equals") calculateResult();
+  if (dataset.action === "undo") undo();
+  else if (dataset.action === "redo") redo();
+  else if (dataset.stat) handleStatsKey(dataset.stat);
+  else runKeyAction(() => handleKeyButton(dataset));
 });
 
 /**
- * Handle keyboard input
+ * Handle mode switch clicks
  */
-document.addEventListener("keydown", (event) => {
+domElements.modeSwitch.addEventListener("click", (event) => {
+  const button = event.target.closest("[data-mode]");
+  if (button) calculator.applySettings({ mode: button.dataset.mode });
+});
+
+/**
+ * Scientific mode keyboard shortcuts
+ */
+const SCIENTIFIC_SHORTCUTS = {
+  s: () => calculator.insertFunction("sin"),
+  c: () => calculator.insertFunction("cos"),
+  t: () => calculator.insertFunction("tan"),
+  S: () => calculator.insertFunction("asin"),
+  C: () => calculator.insertFunction("acos"),
+  T: () => calculator.insertFunction("atan"),
+  l: () => calculator.insertFunction("ln"),
+  g: () => calculator.insertFunction("log"),
+  r: () => calculator.insertFunction("sqrt"),
+  p: () => calculator.insertNamedValue("π"),
+  e: () => calculator.insertNamedValue("e"),
+  "^": () => calculator.selectOperator("^"),
+  "!": () => calculator.appendPostfix("!"),
+  "%": () => calculator.appendPostfix("%"),
+};
+
+/**
+ * Programmer mode keyboard shortcuts (hex digits are handled separately)
+ */
+const PROGRAMMER_SHORTCUTS = {
+  "^": () => calculator.selectOperator("⊕"),
+  "<": () => calculator.selectOperator("«"),
+  ">": () => calculator.selectOperator("»"),
+  "~": () => calculator.insertNot(),
+};
+
+/**
+ * Check if a keyboard event comes from a text field or select
+ */
+function isTypingInField(event) {
+  return ["INPUT", "TEXTAREA", "SELECT"].includes(event.target.tagName);
+}
+
+/**
+ * Dispatch a calculator keyboard key
+ */
+function handleKey(event) {
   const { key } = event;
+  const settings = calculator.getSettings();
+  const isProgrammer = settings.mode === "programmer";
 
-  if (key >= "0" && key <= "9") {
-    appendDigit(key);
+  if (settings.mode === "scientific" && hasOwn(SCIENTIFIC_SHORTCUTS, key)) {
+    SCIENTIFIC_SHORTCUTS[key]();
+  } else if (isProgrammer && hasOwn(PROGRAMMER_SHORTCUTS, key)) {
+    PROGRAMMER_SHORTCUTS[key]();
+  } else if (isProgrammer && /^[a-f]$/i.test(key)) {
+    calculator.appendDigit(key.toUpperCase());
+  } else if (key >= "0" && key <= "9") {
+    calculator.appendDigit(key);
   } else if (key === ".") {
-    addDecimalPoint();
+    calculator.addDecimalPoint();
   } else if (key === "Enter" || key === "=") {
     event.preventDefault();
-    calculateResult();
+    calculator.calculateResult();
   } else if (key === "Backspace" || key === "Delete") {
-    removeLastCharacter();
+    calculator.removeLastCharacter();
   } else if (key === "Escape") {
-    clearCalculator();
-  } else if (["+", "-", "*", "/"].includes(key)) {
-    selectOperator(key);
+    calculator.clearCalculator();
+  } else if (key === "(") {
+    calculator.openParenthesis();
+  } else if (key === ")") {
+    calculator.closeParenthesis();
+  } else if (isOperator(key) && key !== "^" && isOperatorAvailable(key, settings)) {
+    calculator.selectOperator(key);
   }
+}
+
+/**
+ * Handle keyboard input
+ */
+document.addEventListener("keydown", (event) => {
+  if (isTypingInField(event)) return;
+
+  // Ctrl+Z undoes, Ctrl+Shift+Z redoes (Cmd on macOS)
+  if ((event.ctrlKey || event.metaKey) && !event.altKey && event.key.toLowerCase() === "z") {
+    event.preventDefault();
+    if (event.shiftKey) redo();
+    else undo();
+    return;
+  }
+
+  if (event.ctrlKey || event.metaKey || event.altKey) return;
+  runKeyAction(() => handleKey(event));
+});
+
+domElements.precisionSelect.addEventListener("change", (event) => {
+  calculator.applySettings({ precision: event.target.value });
+});
+
+domElements.roundingSelect.addEventListener("change", (event) => {
+  calculator.applySettings({ roundingMode: event.target.value });
+});
+
+domElements.wordSizeSelect.addEventListener("change", (event) => {
+  calculator.applySettings({ wordSize: event.target.value });
+});
+
+domElements.signednessSelect.addEventListener("change", (event) => {
+  calculator.applySettings({ signed: event.target.value === "signed" });
+});
+
+domElements.baseReadout.addEventListener("click", (event) => {
+  const row = event.target.closest("[data-base]");
+  if (row) calculator.setBase(Number(row.dataset.base));
+});
+
+domElements.variableList.addEventListener("click", handleVariableClick);
+
+domElements.variableForm.addEventListener("submit", (event) => {
+  event.preventDefault();
+  const { success, error } = calculator.storeVariable(domElements.variableName.value.trim());
+
+  domElements.variableMessage.textContent = error || "";
+  if (success) domElements.variableName.value = "";
+});
+
+domElements.converterCategory.addEventListener("change", (event) => {
+  converterState.category = event.target.value;
+  renderConverterUnits();
+});
+
+domElements.converterFrom.addEventListener("change", renderConversion);
+domElements.converterTo.addEventListener("change", renderConversion);
+domElements.converterSwap.addEventListener("click", swapConverterUnits);
+domElements.converterUse.addEventListener("click", useConversionResult);
+
+domElements.tableSelect.addEventListener("change", renderTableEditor);
+domElements.tableSave.addEventListener("click", saveTableEditor);
+domElements.tableReset.addEventListener("click", resetConverterTable);
+domElements.tableImport.addEventListener("change", (event) => {
+  importConverterTable(event.target.files[0]);
+  event.target.value = "";
+});
+
+domElements.statsKind.addEventListener("change", (event) => {
+  setStatsKind(event.target.value);
+});
+
+domElements.statsAddBtn.addEventListener("click", () => {
+  if (addStatsData(domElements.statsInput.value)) {
+    domElements.statsInput.value = "";
+  }
+});
+
+domElements.statsClearBtn.addEventListener("click", () => handleStatsKey("clear"));
+
+domElements.statsData.addEventListener("click", (event) => {
+  const button = event.target.closest("[data-index]");
+  if (button) removeStatsEntry(Number(button.dataset.index));
+});
+
+domElements.statsResults.addEventListener("click", (event) => {
+  const button = event.target.closest("[data-value]");
+  if (button) runKeyAction(() => calculator.insertOperand(button.dataset.value));
+});
+
+/**
+ * Paste data straight into the list while in statistics mode
+ */
+document.addEventListener("paste", (event) => {
+  if (calculator.getSettings().mode !== "statistics" || isTypingInField(event)) return;
+
+  event.preventDefault();
+  addStatsData(event.clipboardData.getData("text"));
+});
+
+domElements.historyList.addEventListener("click", handleHistoryClick);
+domElements.historySearch.addEventListener("input", renderHistory);
+domElements.clearHistoryBtn.addEventListener("click", clearHistory);
+
+domElements.exportCsvBtn.addEventListener("click", () => {
+  downloadFile("calculator-history.csv", historyToCsv(), "text/csv");
+});
+
+domElements.exportTextBtn.addEventListener("click", () => {
+  downloadFile("calculator-history.txt", historyToText(), "text/plain");
 });
 
 // ===== Initialize =====
-clearCalculator();
+renderPrecisionOptions();
+renderSettings();
+syncUndoContext(calculator.getSettings());
+renderMemory();
+loadHistory();
+loadStats();
+updateDisplay();
+loadConverterTables();
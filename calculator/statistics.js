@@ -0,0 +1,180 @@
+/**
+ * Calculator Statistics
+ * Descriptive statistics and linear regression on exact decimals
+ */
+
+import {
+  createDecimal,
+  parseDecimal,
+  decimalToString,
+  addDecimals,
+  subtractDecimals,
+  multiplyDecimals,
+  divideDecimals,
+  squareRootOfQuotient,
+  compareDecimals,
+} from "./decimal.js";
+
+// ===== Data Entry =====
+
+/**
+ * Parse pasted data into decimals
+ *
+ * Values are separated by commas, semicolons, whitespace or newlines. For x,y pairs
+ * each line holds one pair, separated by a comma, semicolon, tab or spaces.
+ * Returns the parsed entries and the pieces that couldn't be read.
+ */
+export function parseDataList(text, isPaired) {
+  const entries = [];
+  const invalid = [];
+
+  if (!isPaired) {
+    String(text).split(/[\s,;]+/).filter(Boolean).forEach((piece) => {
+      const value = parseDecimal(piece);
+      if (value) entries.push(value);
+      else invalid.push(piece);
+    });
+    return { entries, invalid };
+  }
+
+  String(text).split(/\r?\n/).map((line) => line.trim()).filter(Boolean).forEach((line) => {
+    const pieces = line.split(/\s*[,;\t]\s*|\s+/);
+    const x = pieces.length === 2 ? parseDecimal(pieces[0]) : null;
+    const y = pieces.length === 2 ? parseDecimal(pieces[1]) : null;
+
+    if (x && y) entries.push({ x, y });
+    else invalid.push(line);
+  });
+
+  return { entries, invalid };
+}
+
+// ===== Descriptive Statistics =====
+
+/**
+ * Sum a list of decimals
+ */
+function sumDecimals(values) {
+  return values.reduce((total, value) => addDecimals(total, value), createDecimal(0n));
+}
+
+/**
+ * Get the median of a sorted list of decimals
+ */
+function getMedian(sorted, places, roundingMode) {
+  const middle = Math.floor(sorted.length / 2);
+  if (sorted.length % 2 === 1) return sorted[middle];
+
+  const pairSum = addDecimals(sorted[middle - 1], sorted[middle]);
+  return divideDecimals(pairSum, createDecimal(2n), places, roundingMode);
+}
+
+/**
+ * Get the most frequent values (empty when every value appears once)
+ */
+function getModes(sorted) {
+  const counts = new Map();
+
+  sorted.forEach((value) => {
+    const key = decimalToString(value);
+    const entry = counts.get(key) || { value, count: 0 };
+    entry.count++;
+    counts.set(key, entry);
+  });
+
+  const highest = Math.max(...[...counts.values()].map(({ count }) => count));
+  if (highest < 2) return [];
+
+  return [...counts.values()]
+    .filter(({ count }) => count === highest)
+    .map(({ value }) => value);
+}
+
+/**
+ * Describe a list of decimals, dividing to a number of places
+ *
+ * Values that are undefined for the data (e.g. sample variance of one value) are null.
+ */
+export function describeValues(values, places, roundingMode) {
+  const count = values.length;
+  if (!count) return null;
+
+  const n = createDecimal(BigInt(count));
+  const sorted = [...values].sort(compareDecimals);
+  const sum = sumDecimals(values);
+  const sumOfSquares = sumDecimals(values.map((value) => multiplyDecimals(value, value)));
+
+  // n·Σx² − (Σx)², so each variance and standard deviation needs a single rounding
+  const spread = subtractDecimals(multiplyDecimals(n, sumOfSquares), multiplyDecimals(sum, sum));
+  const populationDivisor = multiplyDecimals(n, n);
+  const sampleDivisor = count > 1 ? multiplyDecimals(n, createDecimal(BigInt(count - 1))) : null;
+
+  return {
+    count: n,
+    sum,
+    mean: divideDecimals(sum, n, places, roundingMode),
+    median: getMedian(sorted, places, roundingMode),
+    modes: getModes(sorted),
+    min: sorted[0],
+    max: sorted[count - 1],
+    sampleVariance: sampleDivisor && divideDecimals(spread, sampleDivisor, places, roundingMode),
+    sampleStandardDeviation: sampleDivisor && squareRootOfQuotient(spread, sampleDivisor, places, roundingMode),
+    populationVariance: divideDecimals(spread, populationDivisor, places, roundingMode),
+    populationStandardDeviation: squareRootOfQuotient(spread, populationDivisor, places, roundingMode),
+  };
+}
+
+// ===== Linear Regression =====
+
+/**
+ * Fit y = intercept + slope·x by least squares over x,y pairs
+ *
+ * Returns null for fewer than two points or when every x is the same. The correlation
+ * is null when every y is the same.
+ */
+export function linearRegression(points, places, roundingMode) {
+  if (points.length < 2) return null;
+
+  const n = createDecimal(BigInt(points.length));
+  const xs = points.map(({ x }) => x);
+  const ys = points.map(({ y }) => y);
+  const sumX = sumDecimals(xs);
+  const sumY = sumDecimals(ys);
+  const sumXX = sumDecimals(xs.map((x) => multiplyDecimals(x, x)));
+  const sumYY = sumDecimals(ys.map((y) => multiplyDecimals(y, y)));
+  const sumXY = sumDecimals(points.map(({ x, y }) => multiplyDecimals(x, y)));
+
+  const spreadX = subtractDecimals(multiplyDecimals(n, sumXX), multiplyDecimals(sumX, sumX));
+  const spreadY = subtractDecimals(multiplyDecimals(n, sumYY), multiplyDecimals(sumY, sumY));
+  const covariance = subtractDecimals(multiplyDecimals(n, sumXY), multiplyDecimals(sumX, sumY));
+
+  if (spreadX.coefficient === 0n) return null;
+
+  const slope = divideDecimals(covariance, spreadX, places, roundingMode);
+  const intercept = divideDecimals(
+    subtractDecimals(multiplyDecimals(sumY, sumXX), multiplyDecimals(sumX, sumXY)),
+    spreadX,
+    places,
+    roundingMode
+  );
+
+  // r = cov / √(spreadX·spreadY), so |r| = √(cov² / (spreadX·spreadY)) rounds once
+  const covarianceSquared = multiplyDecimals(covariance, covariance);
+  const spreadProduct = multiplyDecimals(spreadX, spreadY);
+  const absCorrelation = spreadY.coefficient === 0n
+    ? null
+    : squareRootOfQuotient(covarianceSquared, spreadProduct, places, roundingMode);
+  const correlation = absCorrelation && covariance.coefficient < 0n
+    ? subtractDecimals(createDecimal(0n), absCorrelation)
+    : absCorrelation;
+
+  return {
+    count: n,
+    meanX: divideDecimals(sumX, n, places, roundingMode),
+    meanY: divideDecimals(sumY, n, places, roundingMode),
+    slope,
+    intercept,
+    correlation,
+    determination: correlation && divideDecimals(covarianceSquared, spreadProduct, places, roundingMode),
+  };
+}
@@ -0,0 +1,145 @@
+/**
+ * Calculator Statistics Tests
+ * Run with: node --test calculator/
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { decimalToString, parseDecimal } from "./decimal.js";
+import { describeValues, linearRegression, parseDataList } from "./statistics.js";
+
+// ===== Helpers =====
+
+/**
+ * Parse a list of numbers written as strings into decimals
+ */
+function decimals(...values) {
+  return values.map((value) => parseDecimal(String(value)));
+}
+
+/**
+ * Parse [x, y] pairs into points
+ */
+function points(...pairs) {
+  return pairs.map(([x, y]) => ({ x: parseDecimal(String(x)), y: parseDecimal(String(y)) }));
+}
+
+/**
+ * Convert a result's decimals (and lists of them) to strings for comparison
+ */
+function toStrings(result) {
+  return Object.fromEntries(Object.entries(result).map(([key, value]) => [
+    key,
+    Array.isArray(value) ? value.map(decimalToString) : value && decimalToString(value),
+  ]));
+}
+
+// ===== Descriptive Statistics =====
+
+test("describes a list of values", () => {
+  const summary = toStrings(describeValues(decimals(2, 4, 4, 4, 5, 5, 7, 9), 10, "half-up"));
+
+  assert.equal(summary.count, "8");
+  assert.equal(summary.sum, "40");
+  assert.equal(summary.mean, "5");
+  assert.deepEqual(summary.modes, ["4"]);
+  assert.equal(summary.min, "2");
+  assert.equal(summary.max, "9");
+  assert.equal(summary.populationVariance, "4");
+  assert.equal(summary.populationStandardDeviation, "2");
+  assert.equal(summary.sampleVariance, "4.5714285714");
+  assert.equal(summary.sampleStandardDeviation, "2.1380899353");
+});
+
+test("takes the median of odd and even length lists", () => {
+  assert.equal(decimalToString(describeValues(decimals(9, 1, 5), 4, "half-up").median), "5");
+  assert.equal(decimalToString(describeValues(decimals(4, 1, 3, 2), 4, "half-up").median), "2.5");
+});
+
+test("keeps the mean exact to the requested places", () => {
+  assert.equal(decimalToString(describeValues(decimals("0.1", "0.2"), 4, "half-up").mean), "0.15");
+  assert.equal(decimalToString(describeValues(decimals(1, 1, 2), 3, "half-up").mean), "1.333");
+});
+
+test("rounds the standard deviation once, from the exact variance", () => {
+  // √(1/3) = 0.57735…, while √ of the variance rounded to 0.33 is 0.574…
+  const summary = toStrings(describeValues(decimals(0, 0, 1), 2, "half-up"));
+
+  assert.equal(summary.sampleVariance, "0.33");
+  assert.equal(summary.sampleStandardDeviation, "0.58");
+  assert.equal(decimalToString(describeValues(decimals(0, 0, 3), 0, "half-up").sampleStandardDeviation), "2");
+});
+
+test("follows the rounding mode for standard deviations", () => {
+  // Population SD of 0, 3 is exactly 1.5
+  assert.equal(decimalToString(describeValues(decimals(0, 3), 0, "half-up").populationStandardDeviation), "2");
+  assert.equal(decimalToString(describeValues(decimals(0, 3), 0, "half-even").populationStandardDeviation), "2");
+  assert.equal(decimalToString(describeValues(decimals(0, 5), 0, "half-even").populationStandardDeviation), "2");
+  assert.equal(decimalToString(describeValues(decimals(0, 3), 0, "truncate").populationStandardDeviation), "1");
+});
+
+test("returns null for an empty list", () => {
+  assert.equal(describeValues([], 4, "half-up"), null);
+});
+
+test("leaves sample statistics undefined for a single value", () => {
+  const summary = toStrings(describeValues(decimals("3.5"), 4, "half-up"));
+
+  assert.equal(summary.mean, "3.5");
+  assert.equal(summary.median, "3.5");
+  assert.deepEqual(summary.modes, []);
+  assert.equal(summary.sampleVariance, null);
+  assert.equal(summary.sampleStandardDeviation, null);
+  assert.equal(summary.populationVariance, "0");
+  assert.equal(summary.populationStandardDeviation, "0");
+});
+
+// ===== Linear Regression =====
+
+test("fits a line with a known slope and intercept", () => {
+  const regression = toStrings(linearRegression(points([1, 5], [2, 7], [3, 9], [4, 11]), 6, "half-up"));
+
+  assert.equal(regression.count, "4");
+  assert.equal(regression.slope, "2");
+  assert.equal(regression.intercept, "3");
+  assert.equal(regression.meanX, "2.5");
+  assert.equal(regression.meanY, "8");
+  assert.equal(regression.correlation, "1");
+  assert.equal(regression.determination, "1");
+});
+
+test("reports a negative correlation", () => {
+  const regression = toStrings(linearRegression(points([1, 3], [2, 1], [3, 2]), 4, "half-up"));
+
+  assert.equal(regression.slope, "-0.5");
+  assert.equal(regression.intercept, "3");
+  assert.equal(regression.correlation, "-0.5");
+  assert.equal(regression.determination, "0.25");
+});
+
+test("returns null without two distinct x values", () => {
+  assert.equal(linearRegression(points([1, 2]), 4, "half-up"), null);
+  assert.equal(linearRegression(points([2, 1], [2, 5]), 4, "half-up"), null);
+});
+
+test("leaves the correlation undefined when every y is the same", () => {
+  const regression = linearRegression(points([1, 4], [2, 4], [3, 4]), 4, "half-up");
+
+  assert.equal(decimalToString(regression.slope), "0");
+  assert.equal(decimalToString(regression.intercept), "4");
+  assert.equal(regression.correlation, null);
+  assert.equal(regression.determination, null);
+});
+
+// ===== Data Entry =====
+
+test("parses value lists and x,y pairs, collecting unreadable pieces", () => {
+  const values = parseDataList("1, 2;3\n4 abc", false);
+  assert.deepEqual(values.entries.map(decimalToString), ["1", "2", "3", "4"]);
+  assert.deepEqual(values.invalid, ["abc"]);
+
+  const pairs = parseDataList("1,2\n3\t4\n5 6 7", true);
+  assert.deepEqual(pairs.entries.map(({ x, y }) => [decimalToString(x), decimalToString(y)]), [["1", "2"], ["3", "4"]]);
+  assert.deepEqual(pairs.invalid, ["5 6 7"]);
+});
@@ -0,0 +1,136 @@
+"use strict";
+
+/**
+ * HTTP Dog Endpoint Tester
+ * Request parsing, CORS diagnosis and response summaries, with no DOM access
+ *
+ * The page loads this as a classic script after status-codes.js (whose getStatusEntry
+ * and validateStatusCode it uses) and before script.js; Node (the tests) loads it as a
+ * CommonJS module.
+ */
+
+// ===== Tester Configuration =====
+const API_BASE_URL = "https://httpstat.us";  // Answers /<code> with that status, for testing bare codes
+
+// ===== Requests =====
+
+/**
+ * Turn the tester input into a URL; a bare status code tests it against API_BASE_URL
+ *
+ * Relative URLs resolve against pageUrl. Throws for input that isn't a valid URL.
+ */
+function resolveTestUrl(value, pageUrl) {
+  const input = value.trim();
+  if (validateStatusCode(input)) return `${API_BASE_URL}/${input}`;
+
+  return new URL(input, pageUrl).href;
+}
+
+/**
+ * Parse "Name: value" lines into request headers
+ */
+function parseHeaderLines(text) {
+  const headers = new Headers();
+
+  text.split("\n").forEach((line, index) => {
+    if (!line.trim()) return;
+
+    const colon = line.indexOf(":");
+    if (colon < 1) {
+      throw new Error(`Header line ${index + 1} needs the form "Name: value"`);
+    }
+    try {
+      headers.append(line.slice(0, colon).trim(), line.slice(colon + 1).trim());
+    } catch (error) {
+      throw new Error(`Header line ${index + 1} has an invalid name or value`);
+    }
+  });
+  return headers;
+}
+
+/**
+ * Check whether a request needs a CORS preflight (non-simple method, header or content type)
+ */
+function needsPreflight(method, headers) {
+  const simpleHeaders = ["accept", "accept-language", "content-language", "content-type"];
+  const simpleTypes = ["application/x-www-form-urlencoded", "multipart/form-data", "text/plain"];
+  let preflight = !["GET", "HEAD", "POST"].includes(method);
+
+  headers.forEach((value, name) => {
+    if (!simpleHeaders.includes(name)) preflight = true;
+    if (name === "content-type" && !simpleTypes.includes(value.split(";")[0].trim().toLowerCase())) {
+      preflight = true;
+    }
+  });
+  return preflight;
+}
+
+// ===== Responses =====
+
+/**
+ * Format a byte count for display
+ */
+function formatBytes(bytes) {
+  return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+/**
+ * Summarise what the browser exposed about a response, as display text
+ *
+ * The status line falls back to the registry's reason phrase when the server sent
+ * none (always the case over HTTP/2), and to the bare code for unassigned codes.
+ */
+function summarizeResponse(request, response, timing, size) {
+  const entry = getStatusEntry(response.status);
+  const reason = response.statusText || (entry ? entry.reason : "");
+
+  return {
+    request,                                // "METHOD url" as sent
+    statusLine: reason ? `${response.status} ${reason}` : String(response.status),
+    timing: `${Math.round(timing.headers)} ms to headers, ${Math.round(timing.total)} ms total`,
+    redirect: response.redirected ? `Redirected to ${response.url}` : "No redirect",
+    type: response.type === "cors" ? "Cross-origin (CORS allowed)" : "Same-origin",
+    size: formatBytes(size),
+    headers: [...response.headers],         // [name, value] pairs the browser exposed
+  };
+}
+
+/**
+ * Explain why a fetch failed without a response
+ *
+ * Browsers report CORS rejections and network failures as the same TypeError, so a
+ * no-cors probe tells them apart: if it gets through, the server is up and CORS blocked
+ * us. page is the tester page's location (protocol and origin).
+ */
+async function diagnoseFetchFailure(url, method, headers, page) {
+  const target = new URL(url);
+
+  if (page.protocol === "https:" && target.protocol === "http:") {
+    return "Blocked as mixed content: this page is served over HTTPS, so the browser refuses plain http:// requests.";
+  }
+
+  try {
+    await fetch(url, { mode: "no-cors", cache: "no-store" });
+  } catch (error) {
+    return `Could not reach ${target.host}. Check the URL, your connection, and that the server is running.`;
+  }
+
+  if (needsPreflight(method, headers)) {
+    return `${target.host} is reachable, but it rejected the CORS preflight (OPTIONS) for this ${method} request. ` +
+      "The server must answer it with Access-Control-Allow-Origin, -Methods and -Headers that cover this request.";
+  }
+  return `${target.host} responded, but without an Access-Control-Allow-Origin header that allows ${page.origin}, ` +
+    "so the browser hid the response. Enable CORS on the server or test through a proxy.";
+}
+
+if (typeof module === "object" && module.exports) {
+  module.exports = {
+    API_BASE_URL,
+    resolveTestUrl,
+    parseHeaderLines,
+    needsPreflight,
+    formatBytes,
+    summarizeResponse,
+    diagnoseFetchFailure,
+  };
+}
@@ -0,0 +1,189 @@
+/**
+ * HTTP Dog Endpoint Tester Tests
+ * Run with: node --test http-dog-api/
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+
+import registry from "./status-codes.js";
+import {
+  API_BASE_URL,
+  resolveTestUrl,
+  parseHeaderLines,
+  needsPreflight,
+  summarizeResponse,
+  diagnoseFetchFailure,
+} from "./endpoint-tester.js";
+
+// The page loads status-codes.js first and the tester uses its lookups as globals
+Object.assign(globalThis, registry);
+
+const PAGE = { href: "http://localhost:8080/http-dog-api/", protocol: "http:", origin: "http://localhost:8080" };
+const UNREACHABLE_URL = "http://127.0.0.1:1/";   // Nothing listens on port 1
+
+// ===== Mock Server =====
+let server;
+let baseUrl;
+
+/**
+ * Answer with a bare status line and no reason phrase, as HTTP/2 servers do
+ */
+function sendBareStatus(request, code) {
+  request.socket.end(`HTTP/1.1 ${code} \r\nContent-Length: 0\r\nConnection: close\r\n\r\n`);
+}
+
+before(async () => {
+  server = http.createServer((request, response) => {
+    if (request.url === "/redirect") {
+      response.writeHead(302, { Location: "/created" });
+      response.end();
+    } else if (request.url === "/created") {
+      response.writeHead(201, { "Content-Type": "text/plain", "X-Mock": "created" });
+      response.end("hello");
+    } else if (request.url === "/echo") {
+      let body = "";
+      request.on("data", (chunk) => { body += chunk; });
+      request.on("end", () => {
+        response.writeHead(200, {
+          "Content-Type": "application/json",
+          "Access-Control-Allow-Origin": "*",
+        });
+        response.end(JSON.stringify({ method: request.method, headers: request.headers, body }));
+      });
+    } else if (request.url === "/teapot") {
+      sendBareStatus(request, 418);
+    } else {
+      sendBareStatus(request, 599);
+    }
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+/**
+ * Send a request the way the tester does, returning the response, its summary and body text
+ */
+async function send(url, options = {}) {
+  const method = options.method || "GET";
+  const response = await fetch(url, { cache: "no-store", redirect: "follow", ...options });
+  const body = await response.arrayBuffer();
+
+  const summary = summarizeResponse(`${method} ${url}`, response, { headers: 1.4, total: 2.6 }, body.byteLength);
+
+  return { response, summary, text: new TextDecoder().decode(body) };
+}
+
+// ===== Requests =====
+
+test("resolves bare status codes against the test API", () => {
+  assert.equal(resolveTestUrl(" 418 ", PAGE.href), `${API_BASE_URL}/418`);
+  assert.equal(resolveTestUrl("599", PAGE.href), `${API_BASE_URL}/599`);
+});
+
+test("resolves other input as a URL relative to the page", () => {
+  assert.equal(resolveTestUrl("https://example.com/a?b=1", PAGE.href), "https://example.com/a?b=1");
+  assert.equal(resolveTestUrl("api/ping", PAGE.href), "http://localhost:8080/http-dog-api/api/ping");
+  assert.equal(resolveTestUrl("600", PAGE.href), "http://localhost:8080/http-dog-api/600");
+  assert.throws(() => resolveTestUrl("http://[bad", PAGE.href));
+});
+
+test("parses header lines, skipping blank ones", () => {
+  const headers = parseHeaderLines("Authorization: Bearer abc:123\n\n  X-Trace :  on  \n");
+
+  assert.equal(headers.get("authorization"), "Bearer abc:123");
+  assert.equal(headers.get("x-trace"), "on");
+});
+
+test("rejects malformed header lines with their line number", () => {
+  assert.throws(() => parseHeaderLines("Accept: */*\nno colon"), /line 2 needs the form/);
+  assert.throws(() => parseHeaderLines(": value"), /line 1 needs the form/);
+  assert.throws(() => parseHeaderLines("Bad Name: value"), /line 1 has an invalid name/);
+});
+
+test("detects requests that need a CORS preflight", () => {
+  assert.equal(needsPreflight("GET", parseHeaderLines("Accept: text/html")), false);
+  assert.equal(needsPreflight("POST", parseHeaderLines("Content-Type: text/plain; charset=utf-8")), false);
+  assert.equal(needsPreflight("POST", parseHeaderLines("Content-Type: application/json")), true);
+  assert.equal(needsPreflight("GET", parseHeaderLines("X-Trace: on")), true);
+  assert.equal(needsPreflight("PUT", new Headers()), true);
+});
+
+// ===== Responses =====
+
+test("follows redirects and reports where they ended", async () => {
+  const { summary } = await send(`${baseUrl}/redirect`);
+
+  assert.equal(summary.statusLine, "201 Created");
+  assert.equal(summary.redirect, `Redirected to ${baseUrl}/created`);
+  assert.equal(summary.size, "5 B");
+  assert.deepEqual(summary.headers.find(([name]) => name === "x-mock"), ["x-mock", "created"]);
+});
+
+test("sends a POST body with custom headers", async () => {
+  const headers = parseHeaderLines("Authorization: Bearer token\nContent-Type: application/json\nX-Trace: on");
+  const { response, summary, text } = await send(`${baseUrl}/echo`, { method: "POST", headers, body: '{"dog":true}' });
+  const echo = JSON.parse(text);
+
+  assert.equal(response.status, 200);
+  assert.equal(summary.request, `POST ${baseUrl}/echo`);
+  assert.equal(summary.statusLine, "200 OK");
+  assert.equal(summary.redirect, "No redirect");
+  assert.equal(summary.timing, "1 ms to headers, 3 ms total");
+  assert.equal(echo.method, "POST");
+  assert.equal(echo.body, '{"dog":true}');
+  assert.equal(echo.headers.authorization, "Bearer token");
+  assert.equal(echo.headers["x-trace"], "on");
+  assert.equal(needsPreflight("POST", headers), true);
+});
+
+test("falls back to the registry's reason phrase", async () => {
+  const { response, summary } = await send(`${baseUrl}/teapot`);
+
+  assert.equal(response.statusText, "");
+  assert.equal(summary.statusLine, `418 ${registry.getStatusEntry(418).reason}`);
+});
+
+test("shows only the code for an unassigned status", async () => {
+  const { response, summary } = await send(`${baseUrl}/unassigned`);
+
+  assert.equal(response.status, 599);
+  assert.equal(registry.getStatusEntry(599), null);
+  assert.equal(summary.statusLine, "599");
+  assert.equal(summary.size, "0 B");
+});
+
+// ===== Failures =====
+
+test("explains an unreachable port", async () => {
+  await assert.rejects(fetch(UNREACHABLE_URL));
+  assert.equal(
+    await diagnoseFetchFailure(UNREACHABLE_URL, "GET", new Headers(), PAGE),
+    "Could not reach 127.0.0.1:1. Check the URL, your connection, and that the server is running.",
+  );
+});
+
+test("explains a response without CORS headers", async () => {
+  const { summary } = await send(`${baseUrl}/created`);
+  const host = new URL(baseUrl).host;
+
+  assert.equal(summary.headers.some(([name]) => name === "access-control-allow-origin"), false);
+  assert.match(
+    await diagnoseFetchFailure(`${baseUrl}/created`, "GET", new Headers(), PAGE),
+    new RegExp(`^${host} responded, but without an Access-Control-Allow-Origin header that allows ${PAGE.origin}`),
+  );
+  assert.match(
+    await diagnoseFetchFailure(`${baseUrl}/created`, "GET", parseHeaderLines("X-Trace: on"), PAGE),
+    new RegExp(`^${host} is reachable, but it rejected the CORS preflight \\(OPTIONS\\) for this GET request`),
+  );
+});
+
+test("explains mixed content before trying the request", async () => {
+  const securePage = { ...PAGE, protocol: "https:", origin: "https://example.com" };
+
+  assert.match(await diagnoseFetchFailure(UNREACHABLE_URL, "GET", new Headers(), securePage), /^Blocked as mixed content/);
+});
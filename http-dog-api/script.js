@@ -18,39 +18,83 @@ const domElements = {
   statusDescription: document.getElementById("statusDescription"),
   statusCategory: document.getElementById("statusCategory"),
   statusSeverity: document.getElementById("statusSeverity"),
+  statusFlag: document.getElementById("statusFlag"),
+  statusRegistration: document.getElementById("statusRegistration"),
+  statusReference: document.getElementById("statusReference"),
+  statusCauses: document.getElementById("statusCauses"),
+  statusHeaders: document.getElementById("statusHeaders"),
   dogImage: document.getElementById("dogImage"),
+  imageCredit: document.getElementById("imageCredit"),
+  providerSelect: document.getElementById("providerSelect"),
+  imageBaseUrl: document.getElementById("imageBaseUrl"),
+  resetImageBaseBtn: document.getElementById("resetImageBaseBtn"),
+  testerForm: document.getElementById("testerForm"),
+  testerUrl: document.getElementById("testerUrl"),
+  testerMethod: document.getElementById("testerMethod"),
+  testerHeaders: document.getElementById("testerHeaders"),
+  testerBody: document.getElementById("testerBody"),
+  testerBodyField: document.getElementById("testerBodyField"),
+  testerSendBtn: document.getElementById("testerSendBtn"),
+  testerMessage: document.getElementById("testerMessage"),
+  responseCard: document.getElementById("responseCard"),
+  responseUrl: document.getElementById("responseUrl"),
+  responseTiming: document.getElementById("responseTiming"),
+  responseRedirect: document.getElementById("responseRedirect"),
+  responseType: document.getElementById("responseType"),
+  responseSize: document.getElementById("responseSize"),
+  responseHeaders: document.getElementById("responseHeaders"),
+  browseSearch: document.getElementById("browseSearch"),
+  browseCategory: document.getElementById("browseCategory"),
+  browseSeverity: document.getElementById("browseSeverity"),
+  browseCount: document.getElementById("browseCount"),
+  browseGrid: document.getElementById("browseGrid"),
+  browseSection: document.getElementById("browseSection"),
 };
 
 // ===== API Configuration =====
-const API_BASE_URL = "https://httpstat.us";
 const DOG_API_URL = "https://dog.ceo/api/breeds/image/random";
+const PLACEHOLDER_IMAGE = "./images/placeholder.svg";
+const IMAGE_TIMEOUT = 8000;                 // Give up on a slow image and show the placeholder
+const IMAGE_SETTINGS_KEY = "http_dog_image_settings";
+const TESTER_TIMEOUT = 15000;               // Abort endpoint tests that hang
+const METHODS_WITHOUT_BODY = ["GET", "HEAD"];
+
+// ===== Image Providers =====
+// Each provider turns a base URL and status code into an image URL
+const imageProviders = {
+  dog: {
+    label: "HTTP Dog",
+    baseUrl: "https://http.dog",
+    getImageUrl: (baseUrl, code) => `${baseUrl}/${code}.jpg`,
+  },
+  cat: {
+    label: "HTTP Cat",
+    baseUrl: "https://http.cat",
+    getImageUrl: (baseUrl, code) => `${baseUrl}/${code}.jpg`,
+  },
+};
+
+const imageSettings = {
+  provider: "dog",                          // Key into imageProviders
+  baseUrl: "",                              // Overrides the provider's base URL (e.g. a local mirror) when set
+};
+
+// Each status or random image load takes the next id; a load that finishes after
+// a newer one has started is dropped so it can't replace the newer result
+let latestImageRequest = 0;
 
 // ===== HTTP Status Information =====
 const statusInfo = {
-  "1xx": { category: "Informational", description: "Request received, continuing process" },
+  "1xx": { category: "Informational", description: "Request received, continuing process", severity: "Info" },
   "2xx": { category: "Success", description: "Request successfully received and processed", severity: "Good" },
   "3xx": { category: "Redirection", description: "Further action must be taken", severity: "Neutral" },
   "4xx": { category: "Client Error", description: "Request contains bad syntax or cannot be fulfilled", severity: "Warning" },
   "5xx": { category: "Server Error", description: "Server failed to fulfill valid request", severity: "Critical" },
 };
 
-// ===== Status Code Descriptions =====
-const statusDescriptions = {
-  200: "OK - Request succeeded",
-  201: "Created - Resource created successfully",
-  204: "No Content - Request succeeded with no content",
-  301: "Moved Permanently - URL has moved permanently",
-  304: "Not Modified - Resource not modified since last request",
-  400: "Bad Request - Server cannot process the request",
-  401: "Unauthorized - Authentication required",
-  403: "Forbidden - Access denied",
-  404: "Not Found - Resource not found",
-  429: "Too Many Requests - Rate limit exceeded",
-  500: "Internal Server Error - Unexpected server error",
-  502: "Bad Gateway - Invalid response from upstream server",
-  503: "Service Unavailable - Server temporarily unavailable",
-  504: "Gateway Timeout - Upstream server timeout",
-};
+// ===== Status Code Reference =====
+const RFC_BASE_URL = "https://www.rfc-editor.org/rfc";
+const browseEntries = buildBrowseEntries();  // Every registry code with its search text, for the browser
 
 // ===== Theme Management =====
 
@@ -86,6 +130,7 @@ function toggleTheme() {
 }
 
 // ===== HTTP Status Helpers =====
+// getStatusEntry and validateStatusCode are in status-codes.js
 
 /**
  * Get category prefix (1xx, 2xx, etc.)
@@ -107,38 +152,209 @@ function getStatusCategory(code) {
  * Get status description
  */
 function getStatusDescription(code) {
-  return statusDescriptions[code] || `HTTP Status Code ${code}`;
+  const entry = getStatusEntry(code);
+  if (entry) return entry.explanation;
+
+  const { description } = getStatusCategory(code);
+  const classCode = `${String(code).charAt(0)}00`;
+  return `HTTP ${code} is not assigned in the IANA registry. Clients treat it like ${classCode}: ${description.toLowerCase()}.`;
 }
 
 /**
- * Validate HTTP status code
+ * Describe where a status code is defined (IANA, unofficial source, or unassigned)
  */
-function validateStatusCode(code) {
-  const num = parseInt(code, 10);
-  return !isNaN(num) && num >= 100 && num <= 599;
+function getStatusRegistration(entry) {
+  if (!entry) return "Unassigned";
+  if (entry.source) return `Unofficial (${entry.source})`;
+  return entry.deprecated ? "IANA (deprecated)" : "IANA";
 }
 
-// ===== API Functions =====
+/**
+ * Get the short flag shown beside the reason phrase, or "" for a current IANA code
+ */
+function getStatusFlag(entry) {
+  if (!entry) return "Unassigned";
+  if (entry.source) return "Unofficial";
+  return entry.deprecated ? "Deprecated" : "";
+}
+
+/**
+ * Get the link to the RFC section that defines a status code
+ */
+function getReferenceUrl(entry) {
+  return `${RFC_BASE_URL}/rfc${entry.rfc}#section-${entry.section}`;
+}
+
+// ===== Image Provider Settings =====
 
 /**
- * Fetch dog image for status code
+ * Load image provider settings from localStorage
  */
-async function fetchDogImage(code) {
+function loadImageSettings() {
   try {
-    // Fetch a random dog image from Dog API
-    const response = await fetch(DOG_API_URL);
-    const data = await response.json();
+    const saved = JSON.parse(localStorage.getItem(IMAGE_SETTINGS_KEY));
+    if (!saved) return;
 
-    if (data.status === "success") {
-      displayResult(code, data.message);
-    } else {
-      showMessage("Unable to load dog image for this status code", "error");
-      domElements.resultSection.classList.add("hidden");
+    if (Object.prototype.hasOwnProperty.call(imageProviders, saved.provider)) {
+      imageSettings.provider = saved.provider;
     }
+    imageSettings.baseUrl = normalizeBaseUrl(saved.baseUrl || "");
   } catch (error) {
+    console.error("Error loading image settings:", error);
+  }
+}
+
+/**
+ * Save image provider settings to localStorage
+ */
+function saveImageSettings() {
+  localStorage.setItem(IMAGE_SETTINGS_KEY, JSON.stringify(imageSettings));
+}
+
+/**
+ * Trim a base URL and drop trailing slashes so paths can be appended
+ */
+function normalizeBaseUrl(value) {
+  return String(value).trim().replace(/\/+$/, "");
+}
+
+/**
+ * Get the active image provider
+ */
+function getImageProvider() {
+  return imageProviders[imageSettings.provider];
+}
+
+/**
+ * Get the image URL for a status code from the active provider
+ */
+function getStatusImageUrl(code) {
+  const provider = getImageProvider();
+  return provider.getImageUrl(imageSettings.baseUrl || provider.baseUrl, code);
+}
+
+/**
+ * Fill the provider dropdown from the registered providers
+ */
+function populateProviderSelect() {
+  domElements.providerSelect.innerHTML = "";
+
+  Object.entries(imageProviders).forEach(([key, provider]) => {
+    const option = document.createElement("option");
+    option.value = key;
+    option.textContent = provider.label;
+    domElements.providerSelect.appendChild(option);
+  });
+}
+
+/**
+ * Reload the image of the status code on screen after the image source changes
+ */
+function refreshStatusImage() {
+  const code = domElements.statusCode.textContent;
+
+  if (!domElements.resultSection.classList.contains("hidden") && validateStatusCode(code)) {
+    fetchStatusImage(code);
+  }
+}
+
+/**
+ * Sync the settings controls with the saved settings
+ */
+function renderImageSettings() {
+  const provider = getImageProvider();
+
+  domElements.providerSelect.value = imageSettings.provider;
+  domElements.imageBaseUrl.value = imageSettings.baseUrl;
+  domElements.imageBaseUrl.placeholder = provider.baseUrl;
+}
+
+/**
+ * Handle a change of image provider
+ */
+function handleProviderChange() {
+  imageSettings.provider = domElements.providerSelect.value;
+  saveImageSettings();
+  renderImageSettings();
+  refreshStatusImage();
+}
+
+/**
+ * Handle an edit of the image base URL
+ *
+ * Relative paths are allowed, so a mirror served next to the app works offline.
+ */
+function handleBaseUrlChange() {
+  const baseUrl = normalizeBaseUrl(domElements.imageBaseUrl.value);
+
+  try {
+    if (baseUrl) new URL(baseUrl, window.location.href);
+  } catch (error) {
+    showMessage("Please enter a valid image base URL", "error");
+    return;
+  }
+
+  imageSettings.baseUrl = baseUrl;
+  saveImageSettings();
+  renderImageSettings();
+  showMessage(baseUrl ? `Loading images from ${baseUrl}` : "Using the default image server", "info");
+  refreshStatusImage();
+}
+
+/**
+ * Go back to the active provider's own base URL
+ */
+function resetImageBaseUrl() {
+  domElements.imageBaseUrl.value = "";
+  handleBaseUrlChange();
+}
+
+// ===== API Functions =====
+
+/**
+ * Load an image in the background, resolving once it has loaded
+ */
+function preloadImage(url) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    const timeoutId = setTimeout(() => reject(new Error(`Timed out loading ${url}`)), IMAGE_TIMEOUT);
+
+    image.onload = () => {
+      clearTimeout(timeoutId);
+      resolve(url);
+    };
+    image.onerror = () => {
+      clearTimeout(timeoutId);
+      reject(new Error(`No image at ${url}`));
+    };
+    image.src = url;
+  });
+}
+
+/**
+ * Fetch the status image for a code, falling back to the bundled placeholder
+ */
+async function fetchStatusImage(code) {
+  const statusCode = parseInt(code, 10);
+  const provider = getImageProvider();
+  const requestId = ++latestImageRequest;
+
+  try {
+    const imageUrl = await preloadImage(getStatusImageUrl(statusCode));
+    if (requestId !== latestImageRequest) return;
+
+    displayResult(statusCode, imageUrl);
+    domElements.imageCredit.textContent = `Image: ${provider.label}`;
+  } catch (error) {
+    if (requestId !== latestImageRequest) return;
+
     console.error("Error fetching image:", error);
-    showMessage("Failed to fetch dog image", "error");
-    domElements.resultSection.classList.add("hidden");
+    displayResult(statusCode, PLACEHOLDER_IMAGE);
+    domElements.imageCredit.textContent = `${provider.label} has no picture for ${statusCode}`;
+
+    if (getStatusEntry(statusCode)) {
+      showMessage(`No ${provider.label} image for HTTP ${statusCode}, showing a placeholder`, "warning");
+    }
   }
 }
 
@@ -146,10 +362,14 @@ async function fetchDogImage(code) {
  * Fetch random dog image from Dog API
  */
 async function fetchRandomDog() {
+  pushRoute("#/random");
+  const requestId = ++latestImageRequest;
+
   try {
     showMessage("Loading random dog...", "info");
     const response = await fetch(DOG_API_URL);
     const data = await response.json();
+    if (requestId !== latestImageRequest) return;
 
     if (data.status === "success") {
       displayRandomDogResult(data.message);
@@ -157,6 +377,8 @@ async function fetchRandomDog() {
       showMessage("Failed to fetch random dog", "error");
     }
   } catch (error) {
+    if (requestId !== latestImageRequest) return;
+
     console.error("Error fetching random dog:", error);
     showMessage("Failed to fetch random dog image", "error");
   }
@@ -168,18 +390,31 @@ async function fetchRandomDog() {
 function displayResult(code, imageUrl) {
   const statusCode = parseInt(code, 10);
   const categoryInfo = getStatusCategory(statusCode);
-  const description = getStatusDescription(statusCode);
+  const entry = getStatusEntry(statusCode);
+  const reason = entry ? entry.reason : "Unassigned";
+  const flag = getStatusFlag(entry);
 
   domElements.statusCode.textContent = statusCode;
-  domElements.statusName.textContent = categoryInfo.category;
-  domElements.statusDescription.textContent = description;
+  domElements.statusName.textContent = reason;
+  domElements.statusFlag.textContent = flag;
+  domElements.statusFlag.dataset.flag = flag.toLowerCase();
+  domElements.statusFlag.classList.toggle("hidden", !flag);
+  domElements.statusDescription.textContent = getStatusDescription(statusCode);
   domElements.statusCategory.textContent = categoryInfo.category;
   domElements.statusSeverity.textContent = categoryInfo.severity || "Normal";
+  domElements.statusRegistration.textContent = getStatusRegistration(entry);
+  displayReference(entry);
+  renderDetailList(domElements.statusCauses, entry ? entry.causes : [], "Not an assigned code");
+  renderDetailList(domElements.statusHeaders, entry ? entry.headers : [], "None in particular");
   domElements.dogImage.src = imageUrl;
-  domElements.dogImage.alt = `HTTP ${statusCode} - ${categoryInfo.category}`;
+  domElements.dogImage.alt = `HTTP ${statusCode} - ${reason}`;
 
   domElements.resultSection.classList.remove("hidden");
-  showMessage(`Fetched HTTP ${statusCode} - ${categoryInfo.category}`, "success");
+  if (entry) {
+    showMessage(`Fetched HTTP ${statusCode} - ${reason}`, "success");
+  } else {
+    showMessage(`HTTP ${statusCode} is not an assigned status code`, "warning");
+  }
   
   // Scroll to result
   setTimeout(() => {
@@ -187,6 +422,35 @@ function displayResult(code, imageUrl) {
   }, 100);
 }
 
+/**
+ * Show the defining RFC section as a link, or the unofficial source as text
+ */
+function displayReference(entry) {
+  const reference = domElements.statusReference;
+
+  if (entry && entry.rfc) {
+    reference.textContent = `RFC ${entry.rfc} §${entry.section}`;
+    reference.href = getReferenceUrl(entry);
+  } else {
+    reference.textContent = entry ? entry.source : "-";
+    reference.removeAttribute("href");
+  }
+}
+
+/**
+ * Fill a detail list with items, or a single placeholder line when there are none
+ */
+function renderDetailList(list, items, emptyText) {
+  list.innerHTML = "";
+
+  (items.length ? items : [emptyText]).forEach((text) => {
+    const item = document.createElement("li");
+    item.textContent = text;
+    list.appendChild(item);
+  });
+  list.classList.toggle("detail-list--empty", !items.length);
+}
+
 /**
  * Display random dog result
  */
@@ -199,8 +463,15 @@ function displayRandomDogResult(imageUrl) {
   domElements.statusDescription.textContent = "A random cute dog just for you!";
   domElements.statusCategory.textContent = "Entertainment";
   domElements.statusSeverity.textContent = "Fun";
+  domElements.statusFlag.classList.add("hidden");
+  domElements.statusRegistration.textContent = "-";
+  displayReference(null);
+  renderDetailList(domElements.statusCauses, [], "-");
+  renderDetailList(domElements.statusHeaders, [], "-");
   domElements.dogImage.src = imageUrl;
   domElements.dogImage.alt = "Random dog image";
+  domElements.imageCredit.textContent = "Image: Dog CEO";
+  domElements.responseCard.classList.add("hidden");
 
   domElements.resultSection.classList.remove("hidden");
   showMessage("Here's a random dog for you! 🐕", "success");
@@ -219,9 +490,326 @@ function showMessage(message, type = "info") {
   domElements.statusMessage.style.color = 
     type === "error" ? "#ff4444" : 
     type === "success" ? "#4CAF50" : 
+    type === "warning" ? "#ff9800" : 
     "inherit";
 }
 
+// ===== Endpoint Tester =====
+// Request parsing, CORS diagnosis and response summaries are in endpoint-tester.js
+
+/**
+ * Show or hide the request body field to match the chosen method
+ */
+function updateTesterBodyField() {
+  const hasBody = !METHODS_WITHOUT_BODY.includes(domElements.testerMethod.value);
+  domElements.testerBodyField.classList.toggle("hidden", !hasBody);
+}
+
+/**
+ * Show tester status message
+ */
+function showTesterMessage(message, type = "info") {
+  domElements.testerMessage.textContent = message;
+  domElements.testerMessage.dataset.type = type;
+}
+
+/**
+ * Fill the response card with a response summary
+ */
+function displayResponseDetails(summary) {
+  domElements.responseUrl.textContent = summary.request;
+  domElements.responseTiming.textContent = summary.timing;
+  domElements.responseRedirect.textContent = summary.redirect;
+  domElements.responseType.textContent = summary.type;
+  domElements.responseSize.textContent = summary.size;
+
+  domElements.responseHeaders.innerHTML = "";
+  summary.headers.forEach(([name, value]) => {
+    const row = document.createElement("tr");
+    const nameCell = document.createElement("th");
+    const valueCell = document.createElement("td");
+
+    nameCell.scope = "row";
+    nameCell.textContent = name;
+    valueCell.textContent = value;
+    row.append(nameCell, valueCell);
+    domElements.responseHeaders.appendChild(row);
+  });
+
+  domElements.responseCard.classList.remove("hidden");
+}
+
+/**
+ * Send the tester's request and explain the response
+ */
+async function runEndpointTest(event) {
+  event.preventDefault();
+
+  const method = domElements.testerMethod.value;
+  let url;
+  let headers;
+
+  try {
+    url = resolveTestUrl(domElements.testerUrl.value, window.location.href);
+  } catch (error) {
+    showTesterMessage("Please enter a valid URL", "error");
+    return;
+  }
+
+  try {
+    headers = parseHeaderLines(domElements.testerHeaders.value);
+  } catch (error) {
+    showTesterMessage(error.message, "error");
+    return;
+  }
+
+  const options = { method, headers, cache: "no-store", redirect: "follow" };
+  if (!METHODS_WITHOUT_BODY.includes(method) && domElements.testerBody.value) {
+    options.body = domElements.testerBody.value;
+  }
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), TESTER_TIMEOUT);
+  options.signal = controller.signal;
+
+  domElements.testerSendBtn.disabled = true;
+  showTesterMessage(`Sending ${method} ${url}...`, "info");
+
+  try {
+    const startTime = performance.now();
+    const response = await fetch(url, options);
+    const headersTime = performance.now();
+    const body = await response.arrayBuffer();
+    const timing = { headers: headersTime - startTime, total: performance.now() - startTime };
+    const summary = summarizeResponse(`${method} ${url}`, response, timing, body.byteLength);
+
+    displayResponseDetails(summary);
+    showTesterMessage(`${summary.statusLine} in ${Math.round(timing.total)} ms`, "success");
+    fetchStatusImage(response.status);
+  } catch (error) {
+    console.error("Error testing endpoint:", error);
+    domElements.responseCard.classList.add("hidden");
+
+    if (error.name === "AbortError") {
+      showTesterMessage(`No response after ${TESTER_TIMEOUT / 1000} seconds, so the request was cancelled.`, "error");
+    } else {
+      showTesterMessage(await diagnoseFetchFailure(url, method, headers, window.location), "error");
+    }
+  } finally {
+    clearTimeout(timeoutId);
+    domElements.testerSendBtn.disabled = false;
+  }
+}
+
+// ===== Status Browser =====
+
+/**
+ * Build the searchable list of every code in the registry, in numeric order
+ */
+function buildBrowseEntries() {
+  return Object.keys(statusRegistry)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .map((code) => {
+      const entry = statusRegistry[code];
+      const searchText = [code, entry.reason, entry.explanation, entry.source || "", ...entry.causes, ...entry.headers]
+        .join(" ")
+        .toLowerCase();
+      return { code, prefix: getCategoryPrefix(code), entry, searchText };
+    });
+}
+
+/**
+ * Fill the category and severity filters from statusInfo
+ */
+function populateBrowseFilters() {
+  const severities = [];
+
+  Object.entries(statusInfo).forEach(([prefix, info]) => {
+    const option = document.createElement("option");
+    option.value = prefix;
+    option.textContent = `${prefix} ${info.category}`;
+    domElements.browseCategory.appendChild(option);
+
+    if (info.severity && !severities.includes(info.severity)) severities.push(info.severity);
+  });
+
+  severities.forEach((severity) => {
+    const option = document.createElement("option");
+    option.value = severity;
+    option.textContent = severity;
+    domElements.browseSeverity.appendChild(option);
+  });
+}
+
+/**
+ * Get the entries that match the browse search and filters
+ *
+ * Every word of the query must appear somewhere in the code's text, so
+ * "rate limit" finds 429 through its explanation and causes.
+ */
+function getFilteredBrowseEntries() {
+  const words = domElements.browseSearch.value.toLowerCase().split(/\s+/).filter(Boolean);
+  const category = domElements.browseCategory.value;
+  const severity = domElements.browseSeverity.value;
+
+  return browseEntries.filter(({ prefix, searchText }) => {
+    if (category && prefix !== category) return false;
+    if (severity && statusInfo[prefix].severity !== severity) return false;
+    return words.every((word) => searchText.includes(word));
+  });
+}
+
+/**
+ * Create the card button for one status code
+ */
+function createBrowseCard({ code, prefix, entry }) {
+  const card = document.createElement("button");
+  const number = document.createElement("span");
+  const reason = document.createElement("span");
+  const flag = getStatusFlag(entry);
+
+  card.type = "button";
+  card.className = "browse-card";
+  card.dataset.code = code;
+  card.dataset.category = prefix;
+  card.tabIndex = -1;
+  number.className = "browse-code";
+  number.textContent = code;
+  reason.className = "browse-reason";
+  reason.textContent = entry.reason;
+  card.append(number, reason);
+
+  if (flag) {
+    const badge = document.createElement("span");
+    badge.className = "status-flag browse-flag";
+    badge.dataset.flag = flag.toLowerCase();
+    badge.textContent = flag;
+    card.appendChild(badge);
+  }
+  return card;
+}
+
+/**
+ * Render the browse grid, grouped by category
+ */
+function renderBrowseGrid() {
+  const entries = getFilteredBrowseEntries();
+  domElements.browseGrid.innerHTML = "";
+
+  Object.entries(statusInfo).forEach(([prefix, info]) => {
+    const groupEntries = entries.filter((item) => item.prefix === prefix);
+    if (!groupEntries.length) return;
+
+    const group = document.createElement("section");
+    const title = document.createElement("h4");
+    const grid = document.createElement("div");
+
+    group.className = "browse-group";
+    title.className = "browse-group-title";
+    title.textContent = `${prefix} ${info.category}`;
+    grid.className = "browse-cards";
+    groupEntries.forEach((item) => grid.appendChild(createBrowseCard(item)));
+    group.append(title, grid);
+    domElements.browseGrid.appendChild(group);
+  });
+
+  // Roving tabindex: Tab reaches the grid once, the arrow keys move within it
+  const firstCard = domElements.browseGrid.querySelector(".browse-card");
+  if (firstCard) firstCard.tabIndex = 0;
+
+  domElements.browseCount.textContent = entries.length
+    ? `${entries.length} of ${browseEntries.length} codes`
+    : "No codes match your search";
+}
+
+/**
+ * Get the browse cards currently on screen
+ */
+function getBrowseCards() {
+  return Array.from(domElements.browseGrid.querySelectorAll(".browse-card"));
+}
+
+/**
+ * Move focus to a browse card and make it the grid's tab stop
+ */
+function focusBrowseCard(cards, index) {
+  const target = cards[Math.max(0, Math.min(index, cards.length - 1))];
+  if (!target) return;
+
+  cards.forEach((card) => {
+    card.tabIndex = card === target ? 0 : -1;
+  });
+  target.focus();
+}
+
+/**
+ * Find the card in the next or previous visual row closest to the current column
+ */
+function getVerticalNeighbour(cards, index, direction) {
+  const current = cards[index].getBoundingClientRect();
+  const candidates = cards.filter((card) => {
+    const rect = card.getBoundingClientRect();
+    return direction > 0 ? rect.top > current.top + 1 : rect.top < current.top - 1;
+  });
+  if (!candidates.length) return index;
+
+  // Nearest row first, then the card whose left edge is closest
+  const rowTop = candidates
+    .map((card) => card.getBoundingClientRect().top)
+    .reduce((best, top) => (Math.abs(top - current.top) < Math.abs(best - current.top) ? top : best));
+  const row = candidates.filter((card) => Math.abs(card.getBoundingClientRect().top - rowTop) <= 1);
+  const closest = row.reduce((best, card) => {
+    const distance = Math.abs(card.getBoundingClientRect().left - current.left);
+    return distance < Math.abs(best.getBoundingClientRect().left - current.left) ? card : best;
+  });
+  return cards.indexOf(closest);
+}
+
+/**
+ * Handle arrow, Home and End keys inside the browse grid
+ */
+function handleBrowseKeydown(event) {
+  const cards = getBrowseCards();
+  const index = cards.indexOf(event.target);
+  if (index === -1) return;
+
+  const moves = {
+    ArrowRight: () => index + 1,
+    ArrowLeft: () => index - 1,
+    ArrowDown: () => getVerticalNeighbour(cards, index, 1),
+    ArrowUp: () => getVerticalNeighbour(cards, index, -1),
+    Home: () => 0,
+    End: () => cards.length - 1,
+  };
+  if (!moves[event.key]) return;
+
+  event.preventDefault();
+  focusBrowseCard(cards, moves[event.key]());
+}
+
+/**
+ * Let ArrowDown jump from the search box into the grid
+ */
+function handleBrowseSearchKeydown(event) {
+  if (event.key !== "ArrowDown") return;
+
+  event.preventDefault();
+  focusBrowseCard(getBrowseCards(), 0);
+}
+
+/**
+ * Open a browse card in the result section
+ */
+function handleBrowseCardClick(event) {
+  const card = event.target.closest(".browse-card");
+  if (!card) return;
+
+  focusBrowseCard(getBrowseCards(), getBrowseCards().indexOf(card));
+  domElements.statusInput.value = card.dataset.code;
+  handleSearch();
+}
+
 // ===== Event Handlers =====
 
 /**
@@ -240,8 +828,10 @@ function handleSearch() {
     return;
   }
 
+  pushRoute(`#/status/${code}`);
   showMessage("Loading...", "info");
-  fetchDogImage(code);
+  domElements.responseCard.classList.add("hidden");
+  fetchStatusImage(code);
 }
 
 /**
@@ -255,6 +845,130 @@ function handleQuickButton(event) {
   }
 }
 
+// ===== Routing =====
+// Hash routes: #/status/404, #/browse?category=4xx&severity=Warning&q=rate, #/random
+
+/**
+ * Add a history entry for a route, unless the page is already on it
+ *
+ * Routes that come from the address bar or Back/Forward already match the hash,
+ * so replaying them never adds a duplicate entry.
+ */
+function pushRoute(route) {
+  if (window.location.hash !== route) history.pushState(null, "", route);
+}
+
+/**
+ * Split the current hash into path segments and query parameters
+ */
+function parseRoute() {
+  const [path, queryString = ""] = window.location.hash.replace(/^#/, "").split("?");
+
+  return {
+    segments: path.split("/").filter(Boolean),
+    params: new URLSearchParams(queryString),
+  };
+}
+
+/**
+ * Build the browse route for the current filters
+ */
+function getBrowseRoute() {
+  const params = new URLSearchParams();
+
+  if (domElements.browseCategory.value) params.set("category", domElements.browseCategory.value);
+  if (domElements.browseSeverity.value) params.set("severity", domElements.browseSeverity.value);
+  if (domElements.browseSearch.value.trim()) params.set("q", domElements.browseSearch.value.trim());
+
+  const query = params.toString();
+  return query ? `#/browse?${query}` : "#/browse";
+}
+
+/**
+ * Keep the browse route in step with the filters
+ *
+ * Filter edits replace the current entry while already browsing, so typing a
+ * search doesn't leave one history entry per keystroke.
+ */
+function handleBrowseFilterChange() {
+  renderBrowseGrid();
+
+  const route = getBrowseRoute();
+  if (parseRoute().segments[0] === "browse") {
+    history.replaceState(null, "", route);
+  } else {
+    pushRoute(route);
+  }
+}
+
+/**
+ * Set a select to a route value, falling back to "all" for values it doesn't offer
+ */
+function setSelectFromRoute(select, value) {
+  const isOption = Array.from(select.options).some((option) => option.value === value);
+  select.value = isOption ? value : "";
+  return isOption || !value;
+}
+
+/**
+ * Show the browser with the filters from a browse route
+ */
+function showBrowseRoute(params) {
+  const validCategory = setSelectFromRoute(domElements.browseCategory, params.get("category") || "");
+  const validSeverity = setSelectFromRoute(domElements.browseSeverity, params.get("severity") || "");
+  domElements.browseSearch.value = params.get("q") || "";
+  renderBrowseGrid();
+
+  if (!validCategory || !validSeverity) {
+    showMessage("Unknown browse filter, showing all codes instead", "error");
+    history.replaceState(null, "", getBrowseRoute());
+  }
+  domElements.browseSection.scrollIntoView({ behavior: "smooth" });
+}
+
+/**
+ * Go back to the start page, clearing any result on screen
+ */
+function showHomeRoute() {
+  domElements.statusInput.value = "";
+  domElements.resultSection.classList.add("hidden");
+  showMessage("", "info");
+}
+
+/**
+ * Redirect an invalid route to the start page and explain why
+ */
+function rejectRoute(message) {
+  history.replaceState(null, "", "#/");
+  showHomeRoute();
+  showMessage(message, "error");
+}
+
+/**
+ * Show the view for the current hash
+ */
+function handleRoute() {
+  const { segments, params } = parseRoute();
+  const [view, code] = segments;
+
+  if (!view) {
+    showHomeRoute();
+  } else if (view === "status" && segments.length === 2) {
+    if (!validateStatusCode(code)) {
+      rejectRoute(`"${code}" is not a valid HTTP status code (100-599)`);
+      return;
+    }
+    domElements.statusInput.value = code;
+    handleSearch();
+  } else if (view === "browse" && segments.length === 1) {
+    showBrowseRoute(params);
+  } else if (view === "random" && segments.length === 1) {
+    fetchRandomDog();
+  } else {
+    rejectRoute(`There is no page at #/${segments.join("/")}`);
+  }
+}
+
 // ===== Event Listeners =====
 
 domElements.searchBtn.addEventListener("click", handleSearch);
@@ -266,13 +980,38 @@ domElements.randomBtn.addEventListener("click", fetchRandomDog);
 
 domElements.themeToggle.addEventListener("click", toggleTheme);
 
+domElements.providerSelect.addEventListener("change", handleProviderChange);
+domElements.imageBaseUrl.addEventListener("change", handleBaseUrlChange);
+domElements.resetImageBaseBtn.addEventListener("click", resetImageBaseUrl);
+
+domElements.testerForm.addEventListener("submit", runEndpointTest);
+domElements.testerMethod.addEventListener("change", updateTesterBodyField);
+
+domElements.browseSearch.addEventListener("input", handleBrowseFilterChange);
+domElements.browseSearch.addEventListener("keydown", handleBrowseSearchKeydown);
+domElements.browseCategory.addEventListener("change", handleBrowseFilterChange);
+domElements.browseSeverity.addEventListener("change", handleBrowseFilterChange);
+domElements.browseGrid.addEventListener("click", handleBrowseCardClick);
+domElements.browseGrid.addEventListener("keydown", handleBrowseKeydown);
+
 // Quick buttons
 document.querySelectorAll(".quick-btn").forEach((btn) => {
   btn.addEventListener("click", handleQuickButton);
 });
 
+// Back/Forward and edits to the hash in the address bar
+window.addEventListener("popstate", handleRoute);
+
 // ===== Initialize =====
 initializeTheme();
+loadImageSettings();
+populateProviderSelect();
+renderImageSettings();
+updateTesterBodyField();
+populateBrowseFilters();
+renderBrowseGrid();
+domElements.testerUrl.placeholder = `${API_BASE_URL}/418 or just 418`;
+handleRoute();
 
 // Set initial focus
 domElements.statusInput.focus();
@@ -0,0 +1,696 @@
+"use strict";
+
+/**
+ * HTTP Status Code Registry
+ * Every code in the IANA HTTP Status Code Registry plus widely seen unofficial codes
+ *
+ * Registered codes name their defining document as rfc and section. Unofficial codes
+ * name the software that uses them as source. deprecated marks codes the registry
+ * keeps only as unused or obsolete.
+ */
+
+// ===== Status Code Registry =====
+const statusRegistry = {
+  // ----- 1xx Informational -----
+  100: {
+    reason: "Continue",
+    rfc: "9110",
+    section: "15.2.1",
+    explanation: "The server received the request headers and the client should go on to send the body. It lets a client check that a large upload will be accepted before sending it.",
+    causes: ["The client sent Expect: 100-continue", "A large upload waiting for the server's go-ahead"],
+    headers: ["Expect"],
+  },
+  101: {
+    reason: "Switching Protocols",
+    rfc: "9110",
+    section: "15.2.2",
+    explanation: "The server agrees to switch the connection to the protocol the client asked for in its Upgrade header.",
+    causes: ["Opening a WebSocket connection", "Upgrading a connection to HTTP/2 over cleartext (h2c)"],
+    headers: ["Upgrade", "Connection"],
+  },
+  102: {
+    reason: "Processing",
+    rfc: "2518",
+    section: "10.1",
+    explanation: "A WebDAV interim response saying the server accepted the request and is still working on it, so the client shouldn't time out.",
+    causes: ["A long-running WebDAV operation such as a deep COPY or MOVE"],
+    headers: [],
+  },
+  103: {
+    reason: "Early Hints",
+    rfc: "8297",
+    section: "2",
+    explanation: "Sent before the final response so the browser can start preloading resources while the server prepares the page.",
+    causes: ["A server or CDN hinting at stylesheets and scripts the page will need"],
+    headers: ["Link"],
+  },
+
+  // ----- 2xx Success -----
+  200: {
+    reason: "OK",
+    rfc: "9110",
+    section: "15.3.1",
+    explanation: "The request succeeded. What the body holds depends on the method: the resource for GET, the result of the action for POST.",
+    causes: ["A normal successful request"],
+    headers: ["Content-Type", "Content-Length", "Cache-Control", "ETag"],
+  },
+  201: {
+    reason: "Created",
+    rfc: "9110",
+    section: "15.3.2",
+    explanation: "The request succeeded and created one or more new resources. The Location header usually points at the new resource.",
+    causes: ["A POST that created a record", "A PUT to a URL that didn't exist yet"],
+    headers: ["Location", "ETag"],
+  },
+  202: {
+    reason: "Accepted",
+    rfc: "9110",
+    section: "15.3.3",
+    explanation: "The request was accepted for processing, but processing hasn't finished and may still fail.",
+    causes: ["Queued background jobs", "Batch or asynchronous APIs"],
+    headers: ["Location", "Retry-After"],
+  },
+  203: {
+    reason: "Non-Authoritative Information",
+    rfc: "9110",
+    section: "15.3.4",
+    explanation: "The request succeeded, but a transforming proxy changed the content from what the origin server sent.",
+    causes: ["A proxy that rewrote or compressed the response"],
+    headers: ["Via"],
+  },
+  204: {
+    reason: "No Content",
+    rfc: "9110",
+    section: "15.3.5",
+    explanation: "The request succeeded and there is no body to send. Browsers stay on the current page.",
+    causes: ["A successful DELETE", "A PUT or PATCH that returns nothing", "CORS preflight responses"],
+    headers: ["ETag"],
+  },
+  205: {
+    reason: "Reset Content",
+    rfc: "9110",
+    section: "15.3.6",
+    explanation: "The request succeeded and the client should reset the document view, for example clear the form that was submitted.",
+    causes: ["A form submission after which the form should be cleared"],
+    headers: [],
+  },
+  206: {
+    reason: "Partial Content",
+    rfc: "9110",
+    section: "15.3.7",
+    explanation: "The server is sending only the byte ranges the client asked for.",
+    causes: ["Resuming a download", "Seeking in audio or video"],
+    headers: ["Range", "Content-Range", "Accept-Ranges", "If-Range"],
+  },
+  207: {
+    reason: "Multi-Status",
+    rfc: "4918",
+    section: "11.1",
+    explanation: "A WebDAV response whose XML body holds a separate status for each of several resources.",
+    causes: ["A WebDAV PROPFIND or operation on several resources"],
+    headers: ["Content-Type"],
+  },
+  208: {
+    reason: "Already Reported",
+    rfc: "5842",
+    section: "7.1",
+    explanation: "Used inside a WebDAV multi-status body so members of a collection that were already listed aren't listed again.",
+    causes: ["WebDAV bindings where one resource is reachable through several paths"],
+    headers: [],
+  },
+  226: {
+    reason: "IM Used",
+    rfc: "3229",
+    section: "10.4.1",
+    explanation: "The server fulfilled a GET and applied instance manipulations, such as a delta encoding, to the current resource.",
+    causes: ["Delta encoding in HTTP, rarely seen in practice"],
+    headers: ["A-IM", "IM", "Delta-Base"],
+  },
+
+  // ----- 3xx Redirection -----
+  300: {
+    reason: "Multiple Choices",
+    rfc: "9110",
+    section: "15.4.1",
+    explanation: "The resource has several representations, and the client (or user) should pick one.",
+    causes: ["Content negotiation offering several formats or languages"],
+    headers: ["Location", "Alternates"],
+  },
+  301: {
+    reason: "Moved Permanently",
+    rfc: "9110",
+    section: "15.4.2",
+    explanation: "The resource has a new permanent URL given in Location. Clients may change a POST into a GET when following it.",
+    causes: ["A site or page moved to a new URL", "Forcing HTTPS or a canonical host name"],
+    headers: ["Location"],
+  },
+  302: {
+    reason: "Found",
+    rfc: "9110",
+    section: "15.4.3",
+    explanation: "The resource is temporarily at the URL in Location. Clients may change a POST into a GET when following it.",
+    causes: ["Redirecting after login", "Temporary maintenance pages"],
+    headers: ["Location"],
+  },
+  303: {
+    reason: "See Other",
+    rfc: "9110",
+    section: "15.4.4",
+    explanation: "The result is at another URL, which the client should fetch with GET. It is the usual redirect after a form POST.",
+    causes: ["Post/Redirect/Get after a form submission"],
+    headers: ["Location"],
+  },
+  304: {
+    reason: "Not Modified",
+    rfc: "9110",
+    section: "15.4.5",
+    explanation: "The cached copy is still current, so the server sends no body and the client uses its cache.",
+    causes: ["A conditional GET whose ETag or date still matches"],
+    headers: ["ETag", "If-None-Match", "If-Modified-Since", "Last-Modified", "Cache-Control"],
+  },
+  305: {
+    reason: "Use Proxy",
+    rfc: "9110",
+    section: "15.4.6",
+    explanation: "Once meant the resource must be reached through a proxy. It is deprecated for security reasons and clients ignore it.",
+    causes: ["Legacy servers only"],
+    headers: ["Location"],
+    deprecated: true,
+  },
+  306: {
+    reason: "(Unused)",
+    rfc: "9110",
+    section: "15.4.7",
+    explanation: "Used in an earlier draft of HTTP (as Switch Proxy) and now reserved. It is not used.",
+    causes: ["Not sent by current software"],
+    headers: [],
+    deprecated: true,
+  },
+  307: {
+    reason: "Temporary Redirect",
+    rfc: "9110",
+    section: "15.4.8",
+    explanation: "The resource is temporarily at the URL in Location, and the client must repeat the request with the same method and body.",
+    causes: ["Temporarily moving an API endpoint", "HSTS redirects created inside the browser"],
+    headers: ["Location"],
+  },
+  308: {
+    reason: "Permanent Redirect",
+    rfc: "9110",
+    section: "15.4.9",
+    explanation: "The resource has a new permanent URL, and the client must repeat the request with the same method and body.",
+    causes: ["Moving an API permanently without turning POSTs into GETs"],
+    headers: ["Location"],
+  },
+
+  // ----- 4xx Client Error -----
+  400: {
+    reason: "Bad Request",
+    rfc: "9110",
+    section: "15.5.1",
+    explanation: "The server can't or won't process the request because of something it sees as a client error.",
+    causes: ["Malformed JSON or syntax", "Missing or invalid parameters", "Oversized or corrupt cookies"],
+    headers: ["Content-Type", "Content-Length"],
+  },
+  401: {
+    reason: "Unauthorized",
+    rfc: "9110",
+    section: "15.5.2",
+    explanation: "The request lacks valid credentials. The WWW-Authenticate header says how to authenticate.",
+    causes: ["Missing or expired token", "Wrong username or password"],
+    headers: ["WWW-Authenticate", "Authorization"],
+  },
+  402: {
+    reason: "Payment Required",
+    rfc: "9110",
+    section: "15.5.3",
+    explanation: "Reserved for future use. Some APIs use it for billing problems, but there is no standard meaning.",
+    causes: ["Unpaid subscriptions or exhausted credit in some APIs"],
+    headers: [],
+  },
+  403: {
+    reason: "Forbidden",
+    rfc: "9110",
+    section: "15.5.4",
+    explanation: "The server understood the request but refuses it. Logging in again won't help.",
+    causes: ["Missing permissions for the resource", "IP or region blocks", "Web application firewall rules"],
+    headers: [],
+  },
+  404: {
+    reason: "Not Found",
+    rfc: "9110",
+    section: "15.5.5",
+    explanation: "The server has nothing at this URL, or won't say that it does.",
+    causes: ["A typo in the URL", "A deleted or moved page without a redirect", "A wrong API route"],
+    headers: [],
+  },
+  405: {
+    reason: "Method Not Allowed",
+    rfc: "9110",
+    section: "15.5.6",
+    explanation: "The resource exists but doesn't support this method. The Allow header lists the methods it does support.",
+    causes: ["POST to a read-only endpoint", "A missing route for the method"],
+    headers: ["Allow"],
+  },
+  406: {
+    reason: "Not Acceptable",
+    rfc: "9110",
+    section: "15.5.7",
+    explanation: "The server can't produce a representation that matches the request's Accept headers.",
+    causes: ["Asking for a format the API doesn't offer", "Overly strict Accept-Language"],
+    headers: ["Accept", "Accept-Language", "Accept-Encoding"],
+  },
+  407: {
+    reason: "Proxy Authentication Required",
+    rfc: "9110",
+    section: "15.5.8",
+    explanation: "Like 401, but the client has to authenticate with the proxy in between.",
+    causes: ["A corporate proxy that requires a login"],
+    headers: ["Proxy-Authenticate", "Proxy-Authorization"],
+  },
+  408: {
+    reason: "Request Timeout",
+    rfc: "9110",
+    section: "15.5.9",
+    explanation: "The server gave up waiting for the client to finish sending the request.",
+    causes: ["Slow or stalled uploads", "Idle connections the server closes"],
+    headers: ["Connection"],
+  },
+  409: {
+    reason: "Conflict",
+    rfc: "9110",
+    section: "15.5.10",
+    explanation: "The request conflicts with the current state of the resource.",
+    causes: ["Editing a stale version of a record", "Creating something that already exists"],
+    headers: ["ETag", "If-Match"],
+  },
+  410: {
+    reason: "Gone",
+    rfc: "9110",
+    section: "15.5.11",
+    explanation: "The resource was here but has been removed on purpose and won't come back.",
+    causes: ["Retired API versions", "Deleted content that should drop out of search results"],
+    headers: [],
+  },
+  411: {
+    reason: "Length Required",
+    rfc: "9110",
+    section: "15.5.12",
+    explanation: "The server requires a Content-Length header for this request.",
+    causes: ["A streamed upload without Content-Length"],
+    headers: ["Content-Length", "Transfer-Encoding"],
+  },
+  412: {
+    reason: "Precondition Failed",
+    rfc: "9110",
+    section: "15.5.13",
+    explanation: "A condition in the request headers, such as If-Match, didn't hold, so nothing was changed.",
+    causes: ["Optimistic locking detecting a concurrent edit"],
+    headers: ["If-Match", "If-Unmodified-Since", "ETag"],
+  },
+  413: {
+    reason: "Content Too Large",
+    rfc: "9110",
+    section: "15.5.14",
+    explanation: "The request body is larger than the server will accept. Earlier specs called it Payload Too Large.",
+    causes: ["File uploads over the size limit", "Proxy body size limits such as nginx client_max_body_size"],
+    headers: ["Content-Length", "Retry-After"],
+  },
+  414: {
+    reason: "URI Too Long",
+    rfc: "9110",
+    section: "15.5.15",
+    explanation: "The URL is longer than the server is willing to read.",
+    causes: ["Huge query strings", "Redirect loops that keep appending to the URL"],
+    headers: [],
+  },
+  415: {
+    reason: "Unsupported Media Type",
+    rfc: "9110",
+    section: "15.5.16",
+    explanation: "The server won't accept the body's format or encoding.",
+    causes: ["A missing or wrong Content-Type", "Sending form data to a JSON-only API"],
+    headers: ["Content-Type", "Content-Encoding", "Accept-Post", "Accept-Patch"],
+  },
+  416: {
+    reason: "Range Not Satisfiable",
+    rfc: "9110",
+    section: "15.5.17",
+    explanation: "None of the requested byte ranges overlap the resource.",
+    causes: ["Resuming a download of a file that has since shrunk"],
+    headers: ["Range", "Content-Range"],
+  },
+  417: {
+    reason: "Expectation Failed",
+    rfc: "9110",
+    section: "15.5.18",
+    explanation: "The server can't meet the expectation in the Expect header.",
+    causes: ["Expect: 100-continue sent to a server or proxy that doesn't support it"],
+    headers: ["Expect"],
+  },
+  418: {
+    reason: "(Unused)",
+    rfc: "9110",
+    section: "15.5.19",
+    explanation: "Reserved because of the April Fools' \"I'm a teapot\" code from RFC 2324. Some servers still return it as a joke.",
+    causes: ["Easter eggs", "Deliberately refusing bots"],
+    headers: [],
+    deprecated: true,
+  },
+  421: {
+    reason: "Misdirected Request",
+    rfc: "9110",
+    section: "15.5.20",
+    explanation: "The request reached a server that can't answer for this host, often because a reused connection points elsewhere.",
+    causes: ["HTTP/2 connection reuse across hosts with different certificates"],
+    headers: ["Host"],
+  },
+  422: {
+    reason: "Unprocessable Content",
+    rfc: "9110",
+    section: "15.5.21",
+    explanation: "The body is well formed but its content is invalid. Earlier specs called it Unprocessable Entity.",
+    causes: ["Validation errors on form or JSON fields"],
+    headers: ["Content-Type"],
+  },
+  423: {
+    reason: "Locked",
+    rfc: "4918",
+    section: "11.3",
+    explanation: "A WebDAV resource is locked and can't be changed.",
+    causes: ["Another user holds a WebDAV lock on the file"],
+    headers: ["Lock-Token", "If"],
+  },
+  424: {
+    reason: "Failed Dependency",
+    rfc: "4918",
+    section: "11.4",
+    explanation: "A WebDAV action failed because another action it depended on failed.",
+    causes: ["One failed step in a WebDAV PROPPATCH"],
+    headers: [],
+  },
+  425: {
+    reason: "Too Early",
+    rfc: "8470",
+    section: "5.2",
+    explanation: "The server won't risk processing a request sent as TLS early data, since it could be replayed.",
+    causes: ["TLS 1.3 0-RTT requests to non-idempotent endpoints"],
+    headers: ["Early-Data"],
+  },
+  426: {
+    reason: "Upgrade Required",
+    rfc: "9110",
+    section: "15.5.22",
+    explanation: "The server won't answer on the current protocol and says which protocol to switch to in Upgrade.",
+    causes: ["An endpoint that needs a newer protocol or TLS"],
+    headers: ["Upgrade", "Connection"],
+  },
+  428: {
+    reason: "Precondition Required",
+    rfc: "6585",
+    section: "3",
+    explanation: "The server requires conditional requests, to prevent lost updates.",
+    causes: ["An update sent without If-Match"],
+    headers: ["If-Match", "If-Unmodified-Since"],
+  },
+  429: {
+    reason: "Too Many Requests",
+    rfc: "6585",
+    section: "4",
+    explanation: "The client has sent too many requests in a given time (rate limiting).",
+    causes: ["API rate limits", "Scrapers or retry loops", "Brute-force protection"],
+    headers: ["Retry-After", "RateLimit-Limit", "RateLimit-Remaining", "RateLimit-Reset"],
+  },
+  431: {
+    reason: "Request Header Fields Too Large",
+    rfc: "6585",
+    section: "5",
+    explanation: "The server won't read the request because one header, or all of them together, is too large.",
+    causes: ["Too many or oversized cookies", "Very long authorization tokens"],
+    headers: ["Cookie", "Authorization"],
+  },
+  451: {
+    reason: "Unavailable For Legal Reasons",
+    rfc: "7725",
+    section: "3",
+    explanation: "The server is denying access because of a legal demand, such as a court order or government censorship.",
+    causes: ["Court-ordered takedowns", "Content blocked in some countries"],
+    headers: ["Link"],
+  },
+
+  // ----- 5xx Server Error -----
+  500: {
+    reason: "Internal Server Error",
+    rfc: "9110",
+    section: "15.6.1",
+    explanation: "The server hit an unexpected condition. It is the generic catch-all for server failures.",
+    causes: ["Unhandled exceptions in application code", "Misconfiguration", "Failing dependencies"],
+    headers: [],
+  },
+  501: {
+    reason: "Not Implemented",
+    rfc: "9110",
+    section: "15.6.2",
+    explanation: "The server doesn't support the functionality the request needs, such as an unknown method.",
+    causes: ["An unrecognised request method", "Features that are planned but not built"],
+    headers: ["Allow"],
+  },
+  502: {
+    reason: "Bad Gateway",
+    rfc: "9110",
+    section: "15.6.3",
+    explanation: "A gateway or proxy got an invalid response from the server behind it.",
+    causes: ["The upstream app crashed or closed the connection", "Wrong upstream address in the proxy config"],
+    headers: ["Via"],
+  },
+  503: {
+    reason: "Service Unavailable",
+    rfc: "9110",
+    section: "15.6.4",
+    explanation: "The server can't handle the request right now because it is overloaded or down for maintenance.",
+    causes: ["Maintenance windows", "Traffic spikes", "No healthy backends behind a load balancer"],
+    headers: ["Retry-After"],
+  },
+  504: {
+    reason: "Gateway Timeout",
+    rfc: "9110",
+    section: "15.6.5",
+    explanation: "A gateway or proxy didn't get a response from the server behind it in time.",
+    causes: ["Slow database queries", "An upstream that hangs", "A proxy timeout set too short"],
+    headers: ["Via"],
+  },
+  505: {
+    reason: "HTTP Version Not Supported",
+    rfc: "9110",
+    section: "15.6.6",
+    explanation: "The server doesn't support the major HTTP version used in the request.",
+    causes: ["Very old clients or servers", "Misconfigured protocol settings"],
+    headers: ["Upgrade"],
+  },
+  506: {
+    reason: "Variant Also Negotiates",
+    rfc: "2295",
+    section: "8.1",
+    explanation: "Content negotiation is misconfigured: the chosen variant is itself set up to negotiate, which would loop.",
+    causes: ["Transparent content negotiation misconfiguration"],
+    headers: ["Alternates", "Negotiate"],
+  },
+  507: {
+    reason: "Insufficient Storage",
+    rfc: "4918",
+    section: "11.5",
+    explanation: "The server can't store what it needs to complete the request.",
+    causes: ["A full disk or quota on a WebDAV server"],
+    headers: [],
+  },
+  508: {
+    reason: "Loop Detected",
+    rfc: "5842",
+    section: "7.2",
+    explanation: "The server stopped a WebDAV operation because it found an infinite loop.",
+    causes: ["Circular WebDAV bindings with Depth: infinity"],
+    headers: ["Depth"],
+  },
+  510: {
+    reason: "Not Extended (OBSOLETED)",
+    rfc: "2774",
+    section: "7",
+    explanation: "Part of the HTTP Extension Framework, which has been moved to historic status. The code is obsolete.",
+    causes: ["Legacy software only"],
+    headers: [],
+    deprecated: true,
+  },
+  511: {
+    reason: "Network Authentication Required",
+    rfc: "6585",
+    section: "6",
+    explanation: "The client has to sign in to the network first, usually on a captive portal.",
+    causes: ["Hotel, airport or café Wi-Fi login pages"],
+    headers: [],
+  },
+
+  // ----- Unofficial -----
+  420: {
+    reason: "Enhance Your Calm",
+    source: "Twitter API v1",
+    explanation: "The old Twitter API's rate-limit response, replaced by 429.",
+    causes: ["Exceeding the legacy Twitter search or streaming rate limits"],
+    headers: [],
+  },
+  440: {
+    reason: "Login Time-out",
+    source: "Microsoft IIS",
+    explanation: "The client's session has expired and it has to log in again.",
+    causes: ["An expired Outlook Web App or IIS session"],
+    headers: [],
+  },
+  444: {
+    reason: "No Response",
+    source: "nginx",
+    explanation: "nginx closes the connection without sending anything. The code only shows up in nginx logs.",
+    causes: ["return 444 rules that drop unwanted or malicious traffic"],
+    headers: [],
+  },
+  449: {
+    reason: "Retry With",
+    source: "Microsoft IIS",
+    explanation: "The server doesn't have enough information, and the request should be retried after the appropriate action.",
+    causes: ["Exchange ActiveSync clients missing required data"],
+    headers: [],
+  },
+  450: {
+    reason: "Blocked by Windows Parental Controls",
+    source: "Microsoft",
+    explanation: "Windows Parental Controls blocked access to the page.",
+    causes: ["Family safety settings blocking a site"],
+    headers: [],
+  },
+  494: {
+    reason: "Request Header Too Large",
+    source: "nginx",
+    explanation: "nginx's internal code for request headers that are too large. Clients are sent a 400.",
+    causes: ["Oversized cookies or headers beyond large_client_header_buffers"],
+    headers: ["Cookie"],
+  },
+  495: {
+    reason: "SSL Certificate Error",
+    source: "nginx",
+    explanation: "The client sent an invalid certificate during mutual TLS. Clients are sent a 400.",
+    causes: ["An expired or untrusted client certificate"],
+    headers: [],
+  },
+  496: {
+    reason: "SSL Certificate Required",
+    source: "nginx",
+    explanation: "The server requires a client certificate but none was sent. Clients are sent a 400.",
+    causes: ["Mutual TLS without a client certificate configured"],
+    headers: [],
+  },
+  497: {
+    reason: "HTTP Request Sent to HTTPS Port",
+    source: "nginx",
+    explanation: "A plain HTTP request arrived on a port that expects HTTPS. Clients are sent a 400.",
+    causes: ["http:// used with an HTTPS-only port"],
+    headers: [],
+  },
+  499: {
+    reason: "Client Closed Request",
+    source: "nginx",
+    explanation: "The client closed the connection before nginx could send the response. The code only shows up in nginx logs.",
+    causes: ["Users navigating away or cancelling", "Client timeouts shorter than the upstream's response time"],
+    headers: [],
+  },
+  509: {
+    reason: "Bandwidth Limit Exceeded",
+    source: "Apache / cPanel",
+    explanation: "The site went over the bandwidth allowance its hosting plan allows.",
+    causes: ["Shared hosting bandwidth quotas"],
+    headers: [],
+  },
+  520: {
+    reason: "Web Server Returned an Unknown Error",
+    source: "Cloudflare",
+    explanation: "The origin server sent Cloudflare an empty, unknown or unexpected response.",
+    causes: ["Origin crashes", "Headers that are too large", "Responses Cloudflare can't parse"],
+    headers: ["CF-RAY"],
+  },
+  521: {
+    reason: "Web Server Is Down",
+    source: "Cloudflare",
+    explanation: "The origin server refused Cloudflare's connection.",
+    causes: ["The origin web server is stopped", "A firewall blocking Cloudflare's IP ranges"],
+    headers: ["CF-RAY"],
+  },
+  522: {
+    reason: "Connection Timed Out",
+    source: "Cloudflare",
+    explanation: "Cloudflare couldn't finish a TCP connection to the origin server in time.",
+    causes: ["An overloaded origin", "Network or routing problems", "Firewalls dropping packets"],
+    headers: ["CF-RAY"],
+  },
+  523: {
+    reason: "Origin Is Unreachable",
+    source: "Cloudflare",
+    explanation: "Cloudflare can't reach the origin server at all.",
+    causes: ["Wrong DNS records for the origin", "Routing problems"],
+    headers: ["CF-RAY"],
+  },
+  524: {
+    reason: "A Timeout Occurred",
+    source: "Cloudflare",
+    explanation: "Cloudflare connected to the origin, but the origin took too long to send an HTTP response.",
+    causes: ["Long-running requests over Cloudflare's response timeout"],
+    headers: ["CF-RAY"],
+  },
+  525: {
+    reason: "SSL Handshake Failed",
+    source: "Cloudflare",
+    explanation: "The TLS handshake between Cloudflare and the origin server failed.",
+    causes: ["No matching cipher suites", "The origin isn't listening for TLS on port 443"],
+    headers: ["CF-RAY"],
+  },
+  526: {
+    reason: "Invalid SSL Certificate",
+    source: "Cloudflare",
+    explanation: "Cloudflare couldn't validate the origin server's certificate in Full (strict) mode.",
+    causes: ["Expired or self-signed origin certificates", "Host name mismatch"],
+    headers: ["CF-RAY"],
+  },
+  527: {
+    reason: "Railgun Error",
+    source: "Cloudflare (retired)",
+    explanation: "The connection between Cloudflare and the origin's Railgun server was interrupted. Railgun has been retired.",
+    causes: ["Railgun listener problems"],
+    headers: ["CF-RAY"],
+  },
+  530: {
+    reason: "Origin DNS Error",
+    source: "Cloudflare",
+    explanation: "Returned together with a Cloudflare 1xxx error, most often because the origin's host name can't be resolved.",
+    causes: ["Cloudflare 1016 Origin DNS errors", "A broken Cloudflare Tunnel"],
+    headers: ["CF-RAY"],
+  },
+};
+
+// ===== Lookups =====
+
+/**
+ * Get the registry entry for a status code, or null when the code is unassigned
+ */
+function getStatusEntry(code) {
+  return Object.prototype.hasOwnProperty.call(statusRegistry, code) ? statusRegistry[code] : null;
+}
+
+/**
+ * Validate HTTP status code
+ *
+ * Accepts any three-digit code from 100 to 599, assigned or not; use
+ * getStatusEntry to tell registered codes from unassigned ones.
+ */
+function validateStatusCode(code) {
+  return /^[1-5]\d{2}$/.test(String(code).trim());
+}
+
+if (typeof module === "object" && module.exports) {
+  module.exports = { statusRegistry, getStatusEntry, validateStatusCode };
+}
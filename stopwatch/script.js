@@ -8,189 +8,2997 @@
 // ===== DOM Elements =====
 const domElements = {
   time: document.getElementById("time"),
+  formatSelect: document.getElementById("formatSelect"),
+  formatPattern: document.getElementById("formatPattern"),
+  formatMessage: document.getElementById("formatMessage"),
+  localeToggle: document.getElementById("localeToggle"),
+  timerRing: document.getElementById("timerRing"),
+  timerName: document.getElementById("timerName"),
+  modeSwitch: document.getElementById("modeSwitch"),
+  countdownSettings: document.getElementById("countdownSettings"),
+  durationInput: document.getElementById("durationInput"),
+  durationMessage: document.getElementById("durationMessage"),
+  overtimeToggle: document.getElementById("overtimeToggle"),
+  intervalSettings: document.getElementById("intervalSettings"),
+  programSelect: document.getElementById("programSelect"),
+  newProgramBtn: document.getElementById("newProgramBtn"),
+  deleteProgramBtn: document.getElementById("deleteProgramBtn"),
+  programName: document.getElementById("programName"),
+  programText: document.getElementById("programText"),
+  programMessage: document.getElementById("programMessage"),
+  saveProgramBtn: document.getElementById("saveProgramBtn"),
+  importProgramsBtn: document.getElementById("importProgramsBtn"),
+  exportProgramsBtn: document.getElementById("exportProgramsBtn"),
+  programFile: document.getElementById("programFile"),
+  segmentLabel: document.getElementById("segmentLabel"),
+  nextUp: document.getElementById("nextUp"),
+  savePresetBtn: document.getElementById("savePresetBtn"),
+  presetList: document.getElementById("presetList"),
   startPause: document.getElementById("startPause"),
   reset: document.getElementById("reset"),
+  lap: document.getElementById("lap"),
+  timerList: document.getElementById("timerList"),
+  addTimerBtn: document.getElementById("addTimerBtn"),
+  onlyOneToggle: document.getElementById("onlyOneToggle"),
+  lapsSection: document.getElementById("lapsSection"),
+  lapsBody: document.getElementById("lapsBody"),
+  lapStats: document.getElementById("lapStats"),
+  exportCsvBtn: document.getElementById("exportCsvBtn"),
+  exportJsonBtn: document.getElementById("exportJsonBtn"),
+  sessionTag: document.getElementById("sessionTag"),
+  tagOptions: document.getElementById("tagOptions"),
+  historyBtn: document.getElementById("historyBtn"),
+  historySection: document.getElementById("historySection"),
+  historyRange: document.getElementById("historyRange"),
+  historyChart: document.getElementById("historyChart"),
+  historyTotals: document.getElementById("historyTotals"),
+  historyList: document.getElementById("historyList"),
+  historyMessage: document.getElementById("historyMessage"),
+  exportHistoryBtn: document.getElementById("exportHistoryBtn"),
+  clearHistoryBtn: document.getElementById("clearHistoryBtn"),
+  shortcutHint: document.getElementById("shortcutHint"),
+  shortcutsBtn: document.getElementById("shortcutsBtn"),
+  pipBtn: document.getElementById("pipBtn"),
+  favicon: document.getElementById("favicon"),
+  helpDialog: document.getElementById("helpDialog"),
+  helpList: document.getElementById("helpList"),
+  customizeShortcutsBtn: document.getElementById("customizeShortcutsBtn"),
+  shortcutsDialog: document.getElementById("shortcutsDialog"),
+  shortcutsList: document.getElementById("shortcutsList"),
+  shortcutsMessage: document.getElementById("shortcutsMessage"),
+  resetShortcutsBtn: document.getElementById("resetShortcutsBtn"),
+  paletteDialog: document.getElementById("paletteDialog"),
+  paletteInput: document.getElementById("paletteInput"),
+  paletteList: document.getElementById("paletteList"),
 };
 
 // ===== Stopwatch State =====
+const TIMER_COLORS = ["#4CAF50", "#2196F3", "#FF9800", "#E91E63", "#9C27B0", "#00BCD4"];
+const DEFAULT_COUNTDOWN = 5 * 60 * 1000;
+
 const stopwatchState = {
-  isRunning: false,
-  startPerformanceTime: 0,
-  accumulatedTime: 0,
-  rafId: 0,
+  timers: [],                  // Independent timers in list order (see createTimer)
+  selectedId: "",              // Timer shown in the main display and driven by the controls
+  onlyOneRunning: false,       // Starting a timer pauses every other one
+  nextNumber: 1,               // Numbers default names: "Timer 1", "Timer 2", ...
+  rafId: 0,                    // One animation loop drives every running timer
+  rafWindow: window,           // Window whose frames drive the loop (the PiP window while hidden)
+  fallbackTickId: 0,           // 1 s updates and event checks while hidden when there is no timing worker
+};
+
+// Timer list rows by timer id, so the loop can update times without re-rendering
+const timerRows = new Map();
+
+// ===== Display Format =====
+const PREFERENCES_STORAGE_KEY = "stopwatch_preferences";
+
+// Pattern syntax, FORMAT_PRESETS and formatTime are in time-format.js
+const displayPreferences = {
+  format: "standard",          // A FORMAT_PRESETS key, or "custom"
+  customPattern: FORMAT_PRESETS.standard,
+  localeAware: false,          // Digits and decimal separator from the browser's locale
+};
+
+// ===== Countdown Presets =====
+const PRESETS_STORAGE_KEY = "stopwatch_presets";
+const DEFAULT_PRESETS = [60 * 1000, 5 * 60 * 1000, 10 * 60 * 1000, 25 * 60 * 1000];
+
+// Saved countdown durations in ms, shortest first
+let countdownPresets = [];
+
+// ===== Interval Programs =====
+const PROGRAMS_STORAGE_KEY = "stopwatch_programs";
+const MAX_PROGRAM_SEGMENTS = 500;
+
+// A program is a list of steps: segments { label, duration } and repeated groups
+// { repeat, steps } of segments
+const DEFAULT_PROGRAMS = [
+  {
+    id: "pomodoro",
+    name: "Pomodoro",
+    steps: [
+      {
+        repeat: 4,
+        steps: [
+          { label: "Work", duration: 25 * 60 * 1000 },
+          { label: "Break", duration: 5 * 60 * 1000 },
+        ],
+      },
+      { label: "Long break", duration: 15 * 60 * 1000 },
+    ],
+  },
+  {
+    id: "hiit",
+    name: "HIIT 40/20",
+    steps: [
+      {
+        repeat: 8,
+        steps: [
+          { label: "Work", duration: 40 * 1000 },
+          { label: "Rest", duration: 20 * 1000 },
+        ],
+      },
+    ],
+  },
+];
+
+let intervalPrograms = [];
+
+// ===== Session History =====
+const SESSION_DB_NAME = "stopwatch";
+const SESSION_STORE = "sessions";
+const UNTAGGED_COLOR = "#9E9E9E";
+const RECENT_SESSION_LIMIT = 20;
+
+const historyState = {
+  range: "day",                // "day" charts the last 7 days, "week" the last 8 weeks
+};
+
+// Opened on first use; rejects where IndexedDB isn't available
+let sessionDbPromise = null;
+
+// ===== Floating Timer and Tab Title =====
+const APP_TITLE = document.title;
+const APP_FAVICON = domElements.favicon.href;
+const AMBIENT_PATTERN = "[HH:]MM:SS";   // Title and favicon only change once a second
+const PIP_SIZE = { width: 320, height: 180 };
+
+const pipState = {
+  window: null,                // Document Picture-in-Picture window
+  elements: null,              // Its time, name and button elements
+  video: null,                 // Video Picture-in-Picture fallback, fed from canvas
+  canvas: null,
+};
+
+// Last title text, so the title and favicon are only redrawn when it changes
+let ambientText = "";
+
+// ===== Keyboard Shortcuts =====
+const KEYBINDINGS_STORAGE_KEY = "stopwatch_keybindings";
+
+// Escape closes dialogs and Tab moves focus, so neither can be bound
+const RESERVED_KEYS = ["Escape", "Tab", "Shift+Tab"];
+
+// Every action the shortcuts and the command palette can run. Keys are written as
+// produced by getEventKey(), e.g. "Space", "l", "?" or "Ctrl+k"; "" is unbound.
+const COMMANDS = [
+  { id: "toggle", label: "Start / pause", key: "Space", run: () => toggleStartPause() },
+  { id: "lap", label: "Record lap", key: "l", run: () => recordLap() },
+  { id: "reset", label: "Reset", key: "r", run: () => resetStopwatch() },
+  { id: "addTimer", label: "Add timer", key: "n", run: () => addTimer() },
+  { id: "nextTimer", label: "Select next timer", key: "]", run: () => selectNearbyTimer(1) },
+  { id: "previousTimer", label: "Select previous timer", key: "[", run: () => selectNearbyTimer(-1) },
+  { id: "stopwatchMode", label: "Stopwatch mode", key: "1", run: () => setMode("stopwatch") },
+  { id: "countdownMode", label: "Countdown mode", key: "2", run: () => setMode("countdown") },
+  { id: "intervalMode", label: "Interval mode", key: "3", run: () => setMode("interval") },
+  { id: "history", label: "Show or hide history", key: "h", run: () => toggleHistory() },
+  { id: "pip", label: "Open or close the floating timer", key: "p", run: () => togglePip() },
+  { id: "exportLaps", label: "Export laps as CSV", key: "", run: () => exportLaps("csv") },
+  { id: "exportSessions", label: "Export session history as CSV", key: "", run: () => exportSessions() },
+  { id: "shortcuts", label: "Edit keyboard shortcuts", key: ",", run: () => openShortcutSettings() },
+  { id: "help", label: "Show keyboard shortcuts", key: "?", run: () => openHelp() },
+  { id: "palette", label: "Command palette", key: "Ctrl+k", run: () => openPalette() },
+];
+
+const keybindingState = {
+  bindings: {},                // Key for each command id (defaults merged with saved changes)
+  capturingId: null,           // Command waiting for its new key in the shortcut settings
+  paletteMatches: [],          // Commands matching the palette search
+  paletteIndex: 0,             // Highlighted palette entry
 };
 
-// ===== Time Formatting =====
+// ===== Persistence and Sync =====
+const STATE_STORAGE_KEY = "stopwatch_state";
+
+// Other tabs hear about every change; browsers without BroadcastChannel use storage events
+const syncChannel = "BroadcastChannel" in window ? new BroadcastChannel("stopwatch") : null;
+
+// ===== Timing Worker =====
+const TIMING_WORKER_URL = "./timing-worker.js";
+const FRAME_INTERVAL = 16;             // Worker posts about once a frame while a time is being drawn
+const HIDDEN_INTERVAL = 1000;          // and once a second while only the title and favicon show it
+
+// Keeps the time and fires timed events while the tab is hidden; null where workers
+// can't start (e.g. file://)
+let timingWorker = null;
+
+// Latest { elapsed, remaining } the worker posted, by timer id
+const workerReadings = new Map();
+
+// Counts syncs; the worker echoes it in each post, so posts sent before a change are dropped
+let workerGeneration = 0;
+
+// ===== Timers =====
+
+/**
+ * Create a timer with its own clock, laps and countdown settings
+ */
+function createTimer({ id = createTimerId(), name, color } = {}) {
+  return {
+    id,
+    name: name || `Timer ${stopwatchState.nextNumber}`,
+    color: color || TIMER_COLORS[stopwatchState.timers.length % TIMER_COLORS.length],
+    isRunning: false,
+    startPerformanceTime: 0,
+    accumulatedTime: 0,
+    laps: [],                  // Recorded laps, oldest first: { lapTime, splitTime } in ms
+    mode: "stopwatch",         // "stopwatch" counts up, "countdown" counts down, "interval" runs a program
+    countdownDuration: DEFAULT_COUNTDOWN,
+    programId: DEFAULT_PROGRAMS[0].id,
+    tag: "",                   // Optional tag the session is logged under
+    sessionStart: null,        // Wall-clock time of the first start since the last reset
+    allowOvertime: false,      // Keep counting past zero instead of stopping
+    hasAlarmed: false,         // The countdown reached zero and the alarm went off
+    isAlarming: false,         // Flashing until started or reset again (not saved)
+    segmentIndex: -1,          // Interval segment the last cue was played for (not saved)
+    cueSecond: 0,              // Last "3, 2, 1" countdown beep (not saved)
+  };
+}
+
+/**
+ * Create a unique timer id
+ */
+function createTimerId() {
+  return `timer-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+}
+
+/**
+ * Get the timer shown in the main display
+ */
+function getSelectedTimer() {
+  const { timers, selectedId } = stopwatchState;
+  return timers.find((timer) => timer.id === selectedId) || timers[0];
+}
+
+/**
+ * Find a timer by id
+ */
+function findTimer(id) {
+  return stopwatchState.timers.find((timer) => timer.id === id);
+}
+
+/**
+ * Add a timer and select it
+ */
+function addTimer() {
+  const timer = createTimer();
+  stopwatchState.nextNumber++;
+  stopwatchState.timers.push(timer);
+  stopwatchState.selectedId = timer.id;
+
+  renderTimerList();
+  renderSelectedTimer();
+  saveState();
+}
+
+/**
+ * Make sure there is at least one timer (first visit or nothing saved)
+ */
+function ensureTimer() {
+  if (stopwatchState.timers.length) return;
+
+  const timer = createTimer();
+  stopwatchState.nextNumber++;
+  stopwatchState.timers = [timer];
+  stopwatchState.selectedId = timer.id;
+}
+
+/**
+ * Rename a timer, keeping the old name if the new one is blank
+ */
+function renameTimer(timer, name) {
+  const trimmed = String(name).trim().slice(0, 40);
+  if (trimmed) timer.name = trimmed;
+
+  renderTimerList();
+  if (timer === getSelectedTimer()) renderSelectedTimer();
+  saveState();
+}
+
+/**
+ * Change a timer's color
+ */
+function setTimerColor(timer, color) {
+  if (!/^#[0-9a-f]{6}$/i.test(color)) return;
+
+  timer.color = color;
+  updateTimerRow(timer);
+  if (timer === getSelectedTimer()) renderSelectedTimer();
+  saveState();
+}
+
+/**
+ * Delete a timer (the last one always stays)
+ */
+function deleteTimer(timer) {
+  const { timers } = stopwatchState;
+  if (timers.length < 2) return;
+
+  const index = timers.indexOf(timer);
+  if (timer.isRunning) pauseStopwatch(timer);
+  recordSession(timer);
+
+  stopwatchState.timers = timers.filter((other) => other !== timer);
+
+  if (stopwatchState.selectedId === timer.id) {
+    stopwatchState.selectedId = stopwatchState.timers[Math.min(index, stopwatchState.timers.length - 1)].id;
+  }
+
+  renderTimerList();
+  renderSelectedTimer();
+  saveState();
+}
+
+/**
+ * Show a timer in the main display
+ */
+function selectTimer(id) {
+  if (!findTimer(id) || id === stopwatchState.selectedId) return;
+
+  stopwatchState.selectedId = id;
+  renderTimerList();
+  renderSelectedTimer();
+  saveState();
+}
+
+/**
+ * Select the timer before or after the selected one, wrapping around
+ */
+function selectNearbyTimer(step) {
+  const { timers } = stopwatchState;
+  const index = timers.indexOf(getSelectedTimer());
+  selectTimer(timers[(index + step + timers.length) % timers.length].id);
+}
+
+/**
+ * Turn "only one running at a time" on or off
+ *
+ * Turning it on keeps the selected timer running (or else the first running one)
+ * and pauses the rest.
+ */
+function setOnlyOneRunning(enabled) {
+  stopwatchState.onlyOneRunning = enabled;
+
+  if (enabled) {
+    const running = stopwatchState.timers.filter((timer) => timer.isRunning);
+    const keep = running.includes(getSelectedTimer()) ? getSelectedTimer() : running[0];
+    running.filter((timer) => timer !== keep).forEach((timer) => pauseStopwatch(timer));
+  }
+  saveState();
+}
+
+// ===== Time Formatting =====
+
+/**
+ * Get the pattern for the current display preferences
+ */
+function getDisplayPattern() {
+  const { format, customPattern } = displayPreferences;
+  return format === "custom" ? customPattern : FORMAT_PRESETS[format];
+}
+
+/**
+ * Format milliseconds with the chosen display pattern and locale setting
+ *
+ * Patterns, presets and formatTime itself live in time-format.js.
+ */
+function formatDisplayTime(milliseconds, pattern = getDisplayPattern()) {
+  return formatTime(milliseconds, pattern, displayPreferences.localeAware);
+}
+
+/**
+ * Load the display preferences from localStorage
+ */
+function loadPreferences() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PREFERENCES_STORAGE_KEY)) || {};
+
+    if (saved.format === "custom" || Object.prototype.hasOwnProperty.call(FORMAT_PRESETS, saved.format)) {
+      displayPreferences.format = saved.format;
+    }
+    if (typeof saved.customPattern === "string" && compilePattern(saved.customPattern)) {
+      displayPreferences.customPattern = saved.customPattern;
+    }
+    displayPreferences.localeAware = saved.localeAware === true;
+  } catch (error) {
+    console.error("Error loading display preferences:", error);
+  }
+}
+
+/**
+ * Persist the display preferences to localStorage
+ */
+function savePreferences() {
+  localStorage.setItem(PREFERENCES_STORAGE_KEY, JSON.stringify(displayPreferences));
+}
+
+/**
+ * Show the display preferences in the format settings
+ */
+function renderPreferences() {
+  domElements.formatSelect.value = displayPreferences.format;
+  domElements.formatPattern.value = displayPreferences.customPattern;
+  domElements.formatPattern.classList.toggle("hidden", displayPreferences.format !== "custom");
+  domElements.localeToggle.checked = displayPreferences.localeAware;
+}
+
+/**
+ * Change the display preferences and redraw every formatted time
+ */
+function setPreferences(changes) {
+  if ("customPattern" in changes && !compilePattern(changes.customPattern)) {
+    domElements.formatMessage.textContent = "Use at least one of D, H, M, S, CS or MS, with balanced [ ]";
+    return;
+  }
+
+  Object.assign(displayPreferences, changes);
+  domElements.formatMessage.textContent = "";
+  savePreferences();
+  renderPreferences();
+  renderTimes();
+  renderLaps();
+  if (!domElements.historySection.classList.contains("hidden")) renderHistory();
+}
+
+/**
+ * Get a timer's elapsed time in milliseconds, including the running stretch
+ */
+function getElapsedTime(timer = getSelectedTimer()) {
+  const { isRunning, accumulatedTime, startPerformanceTime } = timer;
+  return isRunning ? accumulatedTime + (performance.now() - startPerformanceTime) : accumulatedTime;
+}
+
+/**
+ * Get the time left on a countdown (negative in overtime) or in the current interval
+ * segment, or null in stopwatch mode
+ */
+function getRemainingTime(timer, elapsed) {
+  if (timer.mode === "countdown") return timer.countdownDuration - elapsed;
+  if (timer.mode === "interval") return getIntervalPosition(timer, elapsed).remaining;
+  return null;
+}
+
+/**
+ * Get the { elapsed, remaining } to draw for a timer
+ *
+ * Running timers show what the timing worker last posted; paused timers, and every
+ * timer when there is no worker, are worked out here.
+ */
+function getTimerReading(timer = getSelectedTimer()) {
+  const reading = timer.isRunning && workerReadings.get(timer.id);
+  if (reading) return reading;
+
+  const elapsed = getElapsedTime(timer);
+  return { elapsed, remaining: getRemainingTime(timer, elapsed) };
+}
+
+/**
+ * Format a timer's reading as shown to the user (time left in countdown mode, with
+ * a "+" once it runs into overtime, and time left in the segment in interval mode)
+ */
+function formatTimerTime(timer, { elapsed, remaining }, pattern = getDisplayPattern()) {
+  if (timer.mode === "countdown") {
+    return remaining >= 0 ? formatDisplayTime(remaining, pattern) : "+" + formatDisplayTime(-remaining, pattern);
+  }
+  if (timer.mode === "interval") return formatDisplayTime(remaining, pattern);
+  return formatDisplayTime(elapsed, pattern);
+}
+
+/**
+ * Format a duration for presets and the duration field, e.g. "5:00" or "1:30:00"
+ */
+function formatDuration(milliseconds) {
+  const totalSeconds = Math.round(milliseconds / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor(totalSeconds / 60) % 60;
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, "0")}:${seconds}`
+    : `${minutes}:${seconds}`;
+}
+
+/**
+ * Update the main display with the selected timer's reading
+ */
+function updateDisplay(reading) {
+  const text = formatTimerTime(getSelectedTimer(), reading);
+  domElements.time.textContent = text;
+
+  // Longer formats (milliseconds, days) need a smaller font to fit in the ring
+  domElements.time.classList.toggle("is-long", text.length > 11);
+}
+
+/**
+ * Update the main display and every timer row with the current times
+ */
+function renderTimes() {
+  const reading = getTimerReading();
+  updateDisplay(reading);
+  renderInterval(reading.elapsed);
+  stopwatchState.timers.forEach((timer) => {
+    const row = timerRows.get(timer.id);
+    if (row) row.time.textContent = formatTimerTime(timer, getTimerReading(timer));
+  });
+  renderPip();
+  renderAmbient();
+}
+
+/**
+ * Update button states based on the selected timer's state
+ */
+function updateButtonStates() {
+  const timer = getSelectedTimer();
+  const { isRunning, accumulatedTime } = timer;
+
+  domElements.startPause.textContent = getStartLabel(timer);
+  domElements.reset.disabled = isRunning || accumulatedTime === 0;
+  domElements.lap.disabled = !isRunning;
+
+  // Modes and programs can only be switched on a stopped, reset timer
+  const isLocked = isRunning || accumulatedTime > 0;
+  domElements.modeSwitch.querySelectorAll("[data-mode]").forEach((button) => {
+    button.disabled = isLocked;
+    button.setAttribute("aria-pressed", String(button.dataset.mode === timer.mode));
+  });
+  domElements.programSelect.disabled = isLocked;
+  domElements.newProgramBtn.disabled = isLocked;
+  domElements.deleteProgramBtn.disabled = isLocked || intervalPrograms.length < 2;
+
+  stopwatchState.timers.forEach(updateTimerRow);
+  renderPip();
+  renderAmbient();
+}
+
+/**
+ * Get the start/pause label for a timer
+ */
+function getStartLabel({ isRunning, accumulatedTime }) {
+  if (isRunning) return "Pause";
+  return accumulatedTime > 0 ? "Resume" : "Start";
+}
+
+// ===== Timer List =====
+
+/**
+ * Render one row per timer, remembering each row's elements
+ */
+function renderTimerList() {
+  domElements.timerList.innerHTML = "";
+  timerRows.clear();
+
+  stopwatchState.timers.forEach((timer) => {
+    const item = document.createElement("li");
+    item.className = "timer-item";
+    item.dataset.timerId = timer.id;
+
+    const color = document.createElement("input");
+    color.type = "color";
+    color.className = "timer-color";
+    color.dataset.field = "color";
+    color.setAttribute("aria-label", `Color of ${timer.name}`);
+
+    const name = document.createElement("input");
+    name.type = "text";
+    name.className = "timer-name-input";
+    name.dataset.field = "name";
+    name.maxLength = 40;
+    name.value = timer.name;
+    name.setAttribute("aria-label", "Timer name");
+
+    const time = document.createElement("span");
+    time.className = "timer-item-time";
+
+    const toggle = document.createElement("button");
+    toggle.className = "btn-small";
+    toggle.dataset.action = "toggle";
+
+    const reset = document.createElement("button");
+    reset.className = "btn-small";
+    reset.dataset.action = "reset";
+    reset.textContent = "Reset";
+
+    const remove = document.createElement("button");
+    remove.className = "btn-small btn-small--danger";
+    remove.dataset.action = "delete";
+    remove.setAttribute("aria-label", `Delete ${timer.name}`);
+    remove.textContent = "×";
+
+    item.append(color, name, time, toggle, reset, remove);
+    domElements.timerList.appendChild(item);
+    timerRows.set(timer.id, { item, color, time, toggle, reset, remove });
+    updateTimerRow(timer);
+  });
+}
+
+/**
+ * Update a timer row's time, buttons and highlight
+ */
+function updateTimerRow(timer) {
+  const row = timerRows.get(timer.id);
+  if (!row) return;
+
+  row.item.classList.toggle("is-selected", timer.id === getSelectedTimer().id);
+  row.item.classList.toggle("is-running", timer.isRunning);
+  row.item.classList.toggle("is-flashing", timer.isAlarming);
+  row.item.style.borderLeftColor = timer.color;
+  row.color.value = timer.color;
+  row.time.textContent = formatTimerTime(timer, getTimerReading(timer));
+  row.toggle.textContent = getStartLabel(timer);
+  row.reset.disabled = timer.isRunning || timer.accumulatedTime === 0;
+  row.remove.disabled = stopwatchState.timers.length < 2;
+}
+
+/**
+ * Handle clicks in the timer list: row buttons, or selecting the row
+ */
+function handleTimerListClick(event) {
+  const item = event.target.closest("[data-timer-id]");
+  const timer = item && findTimer(item.dataset.timerId);
+  if (!timer) return;
+
+  const action = event.target.closest("[data-action]");
+  if (action) {
+    if (action.dataset.action === "toggle") toggleStartPause(timer);
+    else if (action.dataset.action === "reset") resetStopwatch(timer);
+    else if (action.dataset.action === "delete") deleteTimer(timer);
+    return;
+  }
+  selectTimer(timer.id);
+}
+
+/**
+ * Show the selected timer's name, color, mode, laps and alarm in the main panel
+ */
+function renderSelectedTimer() {
+  const timer = getSelectedTimer();
+
+  domElements.timerName.textContent = timer.name;
+  domElements.timerRing.style.setProperty("--timer-color", timer.color);
+  domElements.durationInput.value = formatDuration(timer.countdownDuration);
+  domElements.durationMessage.textContent = "";
+  domElements.overtimeToggle.checked = timer.allowOvertime;
+  domElements.sessionTag.value = timer.tag;
+
+  renderMode();
+  renderAlarm();
+  renderLaps();
+  updateButtonStates();
+  renderTimes();
+}
+
+// ===== Laps =====
+
+/**
+ * Record a lap at a timer's current elapsed time
+ */
+function recordLap(timer = getSelectedTimer()) {
+  if (!timer.isRunning) return;
+
+  const splitTime = getElapsedTime(timer);
+  const { laps } = timer;
+  const previousSplit = laps.length ? laps[laps.length - 1].splitTime : 0;
+
+  laps.push({ lapTime: splitTime - previousSplit, splitTime });
+  if (timer === getSelectedTimer()) renderLaps();
+  saveState();
+}
+
+/**
+ * Get the average and median lap time (null without laps)
+ */
+function getLapStats(timer = getSelectedTimer()) {
+  const lapTimes = timer.laps.map(({ lapTime }) => lapTime);
+  if (!lapTimes.length) return null;
+
+  const sorted = [...lapTimes].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+
+  return {
+    average: lapTimes.reduce((total, lapTime) => total + lapTime, 0) / lapTimes.length,
+    median: sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2,
+    fastest: sorted[0],
+    slowest: sorted[sorted.length - 1],
+  };
+}
+
+/**
+ * Render the selected timer's lap table (newest first) with fastest and slowest laps highlighted
+ */
+function renderLaps() {
+  const { laps } = getSelectedTimer();
+  const stats = getLapStats();
+
+  domElements.lapsSection.classList.toggle("hidden", laps.length === 0);
+  domElements.lapsBody.innerHTML = "";
+
+  laps.forEach(({ lapTime, splitTime }, index) => {
+    const row = document.createElement("tr");
+
+    // Fastest and slowest only mean something once there are two laps to compare
+    if (laps.length > 1 && lapTime === stats.fastest) row.classList.add("lap--fastest");
+    if (laps.length > 1 && lapTime === stats.slowest) row.classList.add("lap--slowest");
+
+    [String(index + 1), formatDisplayTime(lapTime), formatDisplayTime(splitTime)].forEach((text) => {
+      const cell = document.createElement("td");
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+
+    domElements.lapsBody.prepend(row);
+  });
+
+  domElements.lapStats.textContent = stats
+    ? `Average ${formatDisplayTime(stats.average)} · Median ${formatDisplayTime(stats.median)}`
+    : "";
+}
+
+/**
+ * Build a timer's lap table as CSV
+ */
+function lapsToCsv(timer = getSelectedTimer()) {
+  const rows = timer.laps.map(({ lapTime, splitTime }, index) =>
+    [index + 1, formatDisplayTime(lapTime), formatDisplayTime(splitTime), Math.round(lapTime), Math.round(splitTime)]
+      .map(toCsvField)
+      .join(",")
+  );
+
+  return ["lap,lap_time,split_time,lap_ms,split_ms", ...rows].join("\n");
+}
+
+/**
+ * Build a timer's lap table as JSON
+ */
+function lapsToJson(timer = getSelectedTimer()) {
+  const laps = timer.laps.map(({ lapTime, splitTime }, index) => ({
+    lap: index + 1,
+    lapTime: formatDisplayTime(lapTime),
+    splitTime: formatDisplayTime(splitTime),
+    lapMs: Math.round(lapTime),
+    splitMs: Math.round(splitTime),
+  }));
+
+  return JSON.stringify({ exportedAt: new Date().toISOString(), timer: timer.name, laps }, null, 2);
+}
+
+/**
+ * Build a download file name from a timer's name, e.g. "timer-2-laps.csv"
+ */
+function getLapsFilename(timer, extension) {
+  const slug = timer.name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "stopwatch";
+  return `${slug}-laps.${extension}`;
+}
+
+/**
+ * Download the selected timer's laps as "csv" or "json"
+ */
+function exportLaps(extension) {
+  const timer = getSelectedTimer();
+
+  if (extension === "csv") {
+    downloadFile(getLapsFilename(timer, "csv"), lapsToCsv(timer), "text/csv");
+  } else {
+    downloadFile(getLapsFilename(timer, "json"), lapsToJson(timer), "application/json");
+  }
+}
+
+/**
+ * Download text content as a file
+ */
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// ===== Countdown =====
+
+/**
+ * Parse a duration typed as "5:00", "1:30:00", "90" (seconds) or "1h 30m 15s" into ms
+ */
+function parseDuration(text) {
+  const trimmed = String(text).trim().toLowerCase();
+  if (!trimmed) return null;
+
+  const units = trimmed.match(/^(?:(\d+(?:\.\d+)?)\s*h)?\s*(?:(\d+(?:\.\d+)?)\s*m)?\s*(?:(\d+(?:\.\d+)?)\s*s)?$/);
+  let seconds;
+
+  if (units) {
+    const [, hours = 0, minutes = 0, secs = 0] = units;
+    seconds = Number(hours) * 3600 + Number(minutes) * 60 + Number(secs);
+  } else {
+    const parts = trimmed.split(":");
+    if (parts.length > 3 || !parts.every((part) => /^\d+(?:\.\d+)?$/.test(part))) return null;
+    seconds = parts.reduce((total, part) => total * 60 + Number(part), 0);
+  }
+
+  const milliseconds = Math.round(seconds * 1000);
+  return milliseconds > 0 ? milliseconds : null;
+}
+
+/**
+ * Set the selected timer's countdown duration
+ */
+function setCountdownDuration(milliseconds) {
+  const timer = getSelectedTimer();
+  timer.countdownDuration = milliseconds;
+  timer.hasAlarmed = getElapsedTime(timer) >= milliseconds;
+  domElements.durationInput.value = formatDuration(milliseconds);
+  domElements.durationMessage.textContent = "";
+
+  if (!timer.isRunning) renderTimes();
+  saveState();
+}
+
+/**
+ * Apply the duration typed into the duration field
+ */
+function applyDurationInput() {
+  const milliseconds = parseDuration(domElements.durationInput.value);
+
+  if (milliseconds === null) {
+    domElements.durationMessage.textContent = "Use a duration like 5:00, 1:30:00 or 90s";
+    return;
+  }
+  setCountdownDuration(milliseconds);
+}
+
+/**
+ * Switch the selected timer between counting up and counting down
+ */
+function setMode(mode) {
+  const timer = getSelectedTimer();
+  if (timer.isRunning || timer.accumulatedTime > 0) return;
+
+  timer.mode = mode;
+  renderMode();
+  resetStopwatch(timer);
+}
+
+/**
+ * Show the settings for the selected timer's mode
+ */
+function renderMode() {
+  const { mode } = getSelectedTimer();
+
+  domElements.countdownSettings.classList.toggle("hidden", mode !== "countdown");
+  domElements.intervalSettings.classList.toggle("hidden", mode !== "interval");
+  domElements.timerRing.classList.toggle("has-progress", mode === "interval");
+  domElements.segmentLabel.classList.toggle("hidden", mode !== "interval");
+  domElements.nextUp.classList.toggle("hidden", mode !== "interval");
+  if (mode === "interval") renderProgramEditor();
+}
+
+/**
+ * Check whether a timer's countdown reached zero, sounding the alarm once
+ */
+function checkCountdown(timer, elapsed) {
+  if (timer.mode !== "countdown") return;
+  if (elapsed < timer.countdownDuration || timer.hasAlarmed) return;
+
+  timer.hasAlarmed = true;
+  triggerAlarm(timer);
+
+  if (!timer.allowOvertime) {
+    finishCountdown(timer);
+  }
+  saveState();
+}
+
+/**
+ * Stop a countdown or program at exactly zero
+ */
+function finishCountdown(timer) {
+  timer.isRunning = false;
+  timer.accumulatedTime = timer.mode === "interval"
+    ? getProgramDuration(getTimerProgram(timer))
+    : timer.countdownDuration;
+  renderTimes();
+  updateButtonStates();
+}
+
+/**
+ * Load saved countdown presets from localStorage
+ */
+function loadPresets() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PRESETS_STORAGE_KEY));
+    countdownPresets = Array.isArray(saved)
+      ? saved.filter((duration) => Number.isFinite(duration) && duration > 0)
+      : [...DEFAULT_PRESETS];
+  } catch (error) {
+    console.error("Error loading countdown presets:", error);
+    countdownPresets = [...DEFAULT_PRESETS];
+  }
+  renderPresets();
+}
+
+/**
+ * Persist countdown presets to localStorage
+ */
+function savePresets() {
+  localStorage.setItem(PRESETS_STORAGE_KEY, JSON.stringify(countdownPresets));
+}
+
+/**
+ * Save the current duration as a preset
+ */
+function addPreset() {
+  const { countdownDuration } = getSelectedTimer();
+  if (countdownPresets.includes(countdownDuration)) return;
+
+  countdownPresets = [...countdownPresets, countdownDuration].sort((a, b) => a - b);
+  savePresets();
+  renderPresets();
+}
+
+/**
+ * Delete a preset
+ */
+function deletePreset(duration) {
+  countdownPresets = countdownPresets.filter((preset) => preset !== duration);
+  savePresets();
+  renderPresets();
+}
+
+/**
+ * Render the preset buttons
+ */
+function renderPresets() {
+  domElements.presetList.innerHTML = "";
+
+  countdownPresets.forEach((duration) => {
+    const item = document.createElement("li");
+    item.className = "preset-item";
+
+    const useButton = document.createElement("button");
+    useButton.className = "preset-use";
+    useButton.dataset.duration = String(duration);
+    useButton.textContent = formatDuration(duration);
+
+    const deleteButton = document.createElement("button");
+    deleteButton.className = "preset-delete";
+    deleteButton.dataset.delete = String(duration);
+    deleteButton.setAttribute("aria-label", `Delete preset ${formatDuration(duration)}`);
+    deleteButton.textContent = "×";
+
+    item.append(useButton, deleteButton);
+    domElements.presetList.appendChild(item);
+  });
+}
+
+/**
+ * Handle clicks on the preset list
+ */
+function handlePresetClick(event) {
+  const deleteButton = event.target.closest("[data-delete]");
+  if (deleteButton) {
+    deletePreset(Number(deleteButton.dataset.delete));
+    return;
+  }
+
+  const useButton = event.target.closest("[data-duration]");
+  if (useButton && !getSelectedTimer().isRunning) {
+    setCountdownDuration(Number(useButton.dataset.duration));
+  }
+}
+
+// ===== Interval Programs =====
+
+/**
+ * Create a unique program id
+ */
+function createProgramId() {
+  return `program-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+}
+
+/**
+ * Get the program a timer runs (the first program if its own was deleted)
+ */
+function getTimerProgram(timer) {
+  return intervalPrograms.find((program) => program.id === timer.programId) || intervalPrograms[0];
+}
+
+/**
+ * Flatten a program into its segments, numbering the rounds of repeated groups
+ */
+function expandProgram(program) {
+  return program.steps.flatMap((step) => {
+    if (!step.steps) return [{ ...step, round: 0, rounds: 0 }];
+
+    return Array.from({ length: step.repeat }, (_, round) =>
+      step.steps.map((segment) => ({ ...segment, round: round + 1, rounds: step.repeat }))
+    ).flat();
+  });
+}
+
+/**
+ * Get the total length of a program in ms
+ */
+function getProgramDuration(program) {
+  return expandProgram(program).reduce((total, { duration }) => total + duration, 0);
+}
+
+/**
+ * Find where a timer is in its program: the current segment, the time left in it,
+ * how far through it is (0–1) and the segment after it
+ */
+function getIntervalPosition(timer, elapsed) {
+  const segments = expandProgram(getTimerProgram(timer));
+  let segmentStart = 0;
+
+  for (let index = 0; index < segments.length; index++) {
+    const segment = segments[index];
+    const segmentEnd = segmentStart + segment.duration;
+
+    if (elapsed < segmentEnd) {
+      return {
+        index,
+        count: segments.length,
+        segment,
+        remaining: segmentEnd - elapsed,
+        progress: (elapsed - segmentStart) / segment.duration,
+        next: segments[index + 1] || null,
+      };
+    }
+    segmentStart = segmentEnd;
+  }
+
+  return { index: segments.length, count: segments.length, segment: null, remaining: 0, progress: 1, next: null };
+}
+
+/**
+ * Describe a segment, e.g. "Work 25:00 (2/4)"
+ */
+function describeSegment({ label, duration, round, rounds }) {
+  return `${label} ${formatDuration(duration)}` + (rounds ? ` (${round}/${rounds})` : "");
+}
+
+/**
+ * Step a running program: a cue at each new segment, beeps over the last three
+ * seconds, and the alarm when the program ends
+ */
+function checkInterval(timer, elapsed) {
+  if (timer.mode !== "interval" || timer.hasAlarmed) return;
+
+  const position = getIntervalPosition(timer, elapsed);
+
+  if (!position.segment) {
+    timer.hasAlarmed = true;
+    triggerAlarm(timer);
+    finishCountdown(timer);
+    saveState();
+    return;
+  }
+
+  if (position.index !== timer.segmentIndex) {
+    // The first segment starts with the start button; only later ones need a cue
+    if (timer.segmentIndex !== -1) {
+      playTone(660, 2);
+      if (document.hidden) sendNotification(position.segment.label, `${timer.name}: ${describeSegment(position.segment)}`);
+    }
+    timer.segmentIndex = position.index;
+    timer.cueSecond = 0;
+  }
+
+  const secondsLeft = Math.ceil(position.remaining / 1000);
+  if (secondsLeft <= 3 && secondsLeft !== timer.cueSecond) {
+    timer.cueSecond = secondsLeft;
+    playTone(440, 1);
+  }
+}
+
+/**
+ * Show the selected timer's segment, progress and next segment
+ */
+function renderInterval(elapsed) {
+  const timer = getSelectedTimer();
+  if (timer.mode !== "interval") return;
+
+  const position = getIntervalPosition(timer, elapsed);
+  const { segment, next } = position;
+
+  domElements.segmentLabel.textContent = segment
+    ? `${segment.label}` + (segment.rounds ? ` · ${segment.round}/${segment.rounds}` : "")
+    : "Done";
+  domElements.nextUp.textContent = next ? `Next: ${describeSegment(next)}` : segment ? "Last segment" : "";
+  domElements.timerRing.style.setProperty("--progress", String(position.progress));
+}
+
+/**
+ * Write a program as editable text: one segment per line, repeats as "repeat N" … "end"
+ */
+function programToText(program) {
+  return program.steps.flatMap((step) => step.steps
+    ? [`repeat ${step.repeat}`, ...step.steps.map(({ label, duration }) => `  ${label} ${formatDuration(duration)}`), "end"]
+    : [`${step.label} ${formatDuration(step.duration)}`]
+  ).join("\n");
+}
+
+/**
+ * Parse program text into steps, or an error naming the line that is wrong
+ */
+function parseProgramText(text) {
+  const steps = [];
+  const lines = String(text).split(/\r?\n/);
+  let group = null;
+
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index].trim();
+    const lineError = (message) => ({ error: `Line ${index + 1}: ${message}` });
+    if (!line) continue;
+
+    const repeat = line.match(/^repeat\s+(\d+)$/i) || line.match(/^(\d+)\s*[x×]$/i);
+    if (repeat) {
+      if (group) return lineError("repeats can't be nested");
+      if (Number(repeat[1]) < 1 || Number(repeat[1]) > 99) return lineError("repeat 1 to 99 times");
+
+      group = { repeat: Number(repeat[1]), steps: [] };
+      continue;
+    }
+
+    if (/^end$/i.test(line)) {
+      if (!group) return lineError('"end" without "repeat"');
+      if (!group.steps.length) return lineError("the repeat has no segments");
+
+      steps.push(group);
+      group = null;
+      continue;
+    }
+
+    const segment = line.match(/^(.*\S)\s+(\S+)$/);
+    const duration = segment && parseDuration(segment[2]);
+    if (!duration) return lineError('write a segment as a label and a duration, e.g. "Work 25:00"');
+
+    (group ? group.steps : steps).push({ label: segment[1].slice(0, 40), duration });
+  }
+
+  if (group) return { error: `The last repeat needs an "end"` };
+  if (!steps.length) return { error: "Add at least one segment" };
+  return { steps };
+}
+
+/**
+ * Validate a program from storage or an imported file, returning null if unusable
+ */
+function normalizeProgram(raw) {
+  if (!raw || typeof raw !== "object" || !Array.isArray(raw.steps)) return null;
+
+  const normalizeSegment = (segment) => segment
+    && typeof segment.label === "string" && segment.label.trim()
+    && Number.isFinite(segment.duration) && segment.duration > 0
+    ? { label: segment.label.trim().slice(0, 40), duration: Math.round(segment.duration) }
+    : null;
+
+  const steps = raw.steps.map((step) => {
+    if (!step || !Array.isArray(step.steps)) return normalizeSegment(step);
+
+    const segments = step.steps.map(normalizeSegment);
+    const repeat = Number(step.repeat);
+    return Number.isInteger(repeat) && repeat >= 1 && repeat <= 99 && segments.length && segments.every(Boolean)
+      ? { repeat, steps: segments }
+      : null;
+  });
+  if (!steps.length || !steps.every(Boolean)) return null;
+
+  const program = {
+    id: typeof raw.id === "string" && raw.id ? raw.id : createProgramId(),
+    name: (typeof raw.name === "string" && raw.name.trim().slice(0, 40)) || "Program",
+    steps,
+  };
+  return expandProgram(program).length <= MAX_PROGRAM_SEGMENTS ? program : null;
+}
+
+/**
+ * Load saved programs from localStorage
+ */
+function loadPrograms() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PROGRAMS_STORAGE_KEY));
+    intervalPrograms = Array.isArray(saved) ? saved.map(normalizeProgram).filter(Boolean) : [];
+  } catch (error) {
+    console.error("Error loading interval programs:", error);
+    intervalPrograms = [];
+  }
+
+  if (!intervalPrograms.length) {
+    intervalPrograms = DEFAULT_PROGRAMS.map((program) => normalizeProgram(program));
+  }
+}
+
+/**
+ * Persist programs to localStorage
+ */
+function savePrograms() {
+  localStorage.setItem(PROGRAMS_STORAGE_KEY, JSON.stringify(intervalPrograms));
+}
+
+/**
+ * Show a message under the program editor
+ */
+function showProgramMessage(message, isSuccess = false) {
+  domElements.programMessage.textContent = message;
+  domElements.programMessage.classList.toggle("is-success", isSuccess);
+}
+
+/**
+ * Fill the program picker and editor for the selected timer's program
+ */
+function renderProgramEditor() {
+  const timer = getSelectedTimer();
+  const program = getTimerProgram(timer);
+
+  domElements.programSelect.innerHTML = "";
+  intervalPrograms.forEach(({ id, name }) => {
+    const option = document.createElement("option");
+    option.value = id;
+    option.textContent = name;
+    domElements.programSelect.appendChild(option);
+  });
+
+  domElements.programSelect.value = program.id;
+  domElements.programName.value = program.name;
+  domElements.programText.value = programToText(program);
+}
+
+/**
+ * Run a different program on the selected timer
+ */
+function setTimerProgram(programId) {
+  const timer = getSelectedTimer();
+  if (timer.isRunning || timer.accumulatedTime > 0) return;
+
+  timer.programId = programId;
+  showProgramMessage("");
+  renderProgramEditor();
+  updateButtonStates();
+  renderTimes();
+  saveState();
+}
+
+/**
+ * Save the edited name and segments over the selected timer's program
+ */
+function saveProgram() {
+  const program = getTimerProgram(getSelectedTimer());
+  const parsed = parseProgramText(domElements.programText.value);
+
+  if (parsed.error) {
+    showProgramMessage(parsed.error);
+    return;
+  }
+
+  const updated = normalizeProgram({ id: program.id, name: domElements.programName.value, steps: parsed.steps });
+  if (!updated) {
+    showProgramMessage(`Programs are limited to ${MAX_PROGRAM_SEGMENTS} segments`);
+    return;
+  }
+
+  intervalPrograms = intervalPrograms.map((other) => (other.id === program.id ? updated : other));
+  savePrograms();
+  renderProgramEditor();
+  renderTimes();
+  syncTimingWorker();
+  showProgramMessage("Program saved", true);
+}
+
+/**
+ * Create a program and run it on the selected timer
+ */
+function addProgram() {
+  const program = normalizeProgram({
+    name: "New program",
+    steps: [{ label: "Work", duration: 60 * 1000 }, { label: "Rest", duration: 30 * 1000 }],
+  });
+
+  intervalPrograms = [...intervalPrograms, program];
+  savePrograms();
+  setTimerProgram(program.id);
+}
+
+/**
+ * Delete the selected timer's program (the last one always stays)
+ */
+function deleteProgram() {
+  const timer = getSelectedTimer();
+  if (intervalPrograms.length < 2 || timer.isRunning || timer.accumulatedTime > 0) return;
+
+  const program = getTimerProgram(timer);
+  intervalPrograms = intervalPrograms.filter((other) => other !== program);
+  savePrograms();
+  setTimerProgram(intervalPrograms[0].id);
+}
+
+/**
+ * Build every program as JSON
+ */
+function programsToJson() {
+  return JSON.stringify({ exportedAt: new Date().toISOString(), programs: intervalPrograms }, null, 2);
+}
+
+/**
+ * Add the programs from an exported JSON file (a list, one program, or { programs })
+ */
+async function importPrograms(file) {
+  try {
+    const data = JSON.parse(await file.text());
+    const list = Array.isArray(data) ? data : Array.isArray(data.programs) ? data.programs : [data];
+
+    // Fresh ids, so importing the same file twice never overwrites anything
+    const imported = list.map(normalizeProgram).filter(Boolean).map((program) => ({ ...program, id: createProgramId() }));
+
+    if (!imported.length) {
+      showProgramMessage("No valid programs in that file");
+      return;
+    }
+
+    intervalPrograms = [...intervalPrograms, ...imported];
+    savePrograms();
+    renderProgramEditor();
+    updateButtonStates();
+    showProgramMessage(`Imported ${imported.length} program${imported.length === 1 ? "" : "s"}`, true);
+  } catch (error) {
+    console.error("Error importing programs:", error);
+    showProgramMessage("That file isn't valid JSON");
+  }
+}
+
+// ===== Alarm =====
+const AUDIO_LOCK_NAME = "stopwatch-audio";
+
+let audioContext = null;
+
+// Every open tab sees the same timers, but only the tab holding the audio lock sounds
+// alarms and cues. Without the Web Locks API each tab plays its own.
+let ownsAudio = !("locks" in navigator);
+let audioLockRequested = false;
+
+/**
+ * Create (or resume) the audio context; browsers only allow this from a user gesture
+ */
+function unlockAudio() {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) return;
+
+  try {
+    audioContext = audioContext || new AudioContextClass();
+    if (audioContext.state === "suspended") audioContext.resume();
+    claimAudio();
+  } catch (error) {
+    console.error("Error starting audio:", error);
+  }
+}
+
+/**
+ * Queue for the audio lock, so this tab sounds alarms once no other tab does
+ *
+ * Only tabs whose audio has been unlocked queue, so the owner can always play.
+ * The lock is held until the tab closes, then passes to the next tab in line.
+ */
+function claimAudio() {
+  if (audioLockRequested || !("locks" in navigator)) return;
+  audioLockRequested = true;
+
+  navigator.locks.request(AUDIO_LOCK_NAME, () => {
+    ownsAudio = true;
+    return new Promise(() => {});
+  }).catch((error) => {
+    console.error("Error claiming audio:", error);
+    ownsAudio = true;
+  });
+}
+
+/**
+ * Play a short tone pattern through Web Audio
+ */
+function playTone(frequency = 880, beeps = 3) {
+  if (!audioContext || !ownsAudio) return;
+
+  const start = audioContext.currentTime;
+
+  for (let beep = 0; beep < beeps; beep++) {
+    const offset = start + beep * 0.3;
+    const oscillator = audioContext.createOscillator();
+    const gain = audioContext.createGain();
+
+    oscillator.type = "sine";
+    oscillator.frequency.value = frequency;
+    gain.gain.setValueAtTime(0.0001, offset);
+    gain.gain.exponentialRampToValueAtTime(0.3, offset + 0.02);
+    gain.gain.exponentialRampToValueAtTime(0.0001, offset + 0.25);
+
+    oscillator.connect(gain).connect(audioContext.destination);
+    oscillator.start(offset);
+    oscillator.stop(offset + 0.25);
+  }
+}
+
+/**
+ * Ask for notification permission (from the click that starts a countdown)
+ */
+function requestNotificationPermission() {
+  if ("Notification" in window && Notification.permission === "default") {
+    Notification.requestPermission().catch((error) => {
+      console.error("Error requesting notification permission:", error);
+    });
+  }
+}
+
+/**
+ * Send a browser notification if allowed
+ */
+function sendNotification(title, body) {
+  if (!("Notification" in window) || Notification.permission !== "granted") return;
+
+  try {
+    // The tag keeps several open tabs from stacking the same notification
+    new Notification(title, { body, tag: "stopwatch-alarm" });
+  } catch (error) {
+    console.error("Error sending notification:", error);
+  }
+}
+
+/**
+ * Sound, flash and notify that a timer's countdown reached zero
+ */
+function triggerAlarm(timer) {
+  playTone();
+  timer.isAlarming = true;
+  renderAlarm();
+  sendNotification("Time's up", timer.mode === "interval"
+    ? `${timer.name}: ${getTimerProgram(timer).name} finished`
+    : `${timer.name}: your ${formatDuration(timer.countdownDuration)} countdown finished`);
+}
+
+/**
+ * Stop a timer's flashing alarm display
+ */
+function clearAlarm(timer) {
+  timer.isAlarming = false;
+  renderAlarm();
+}
+
+/**
+ * Flash the ring while the selected timer is alarming, and the rows of alarming timers
+ */
+function renderAlarm() {
+  domElements.timerRing.classList.toggle("is-flashing", getSelectedTimer().isAlarming);
+  stopwatchState.timers.forEach(updateTimerRow);
+}
+
+// ===== Session History =====
+
+/**
+ * Wrap an IndexedDB request in a promise
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open (and on first use create) the session database
+ */
+function openSessionDb() {
+  if (!sessionDbPromise) {
+    sessionDbPromise = new Promise((resolve, reject) => {
+      if (!("indexedDB" in window)) {
+        reject(new Error("IndexedDB is not available"));
+        return;
+      }
+
+      const request = indexedDB.open(SESSION_DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(SESSION_STORE, { keyPath: "id", autoIncrement: true });
+        store.createIndex("startedAt", "startedAt");
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return sessionDbPromise;
+}
+
+/**
+ * Run a request against the session store
+ */
+async function withSessionStore(mode, makeRequest) {
+  const db = await openSessionDb();
+  const store = db.transaction(SESSION_STORE, mode).objectStore(SESSION_STORE);
+  return requestToPromise(makeRequest(store));
+}
+
+/**
+ * Get every logged session, oldest first
+ */
+function getSessions() {
+  return withSessionStore("readonly", (store) => store.index("startedAt").getAll());
+}
+
+/**
+ * Log a timer's run when it is reset or deleted
+ */
+async function recordSession(timer) {
+  if (timer.accumulatedTime <= 0) return;
+
+  const endedAt = Date.now();
+  const session = {
+    startedAt: timer.sessionStart ?? endedAt - timer.accumulatedTime,
+    endedAt,
+    duration: Math.round(timer.accumulatedTime),
+    laps: timer.laps.map(({ lapTime, splitTime }) => ({ lapTime: Math.round(lapTime), splitTime: Math.round(splitTime) })),
+    label: timer.name,
+    tag: timer.tag,
+    mode: timer.mode,
+  };
+
+  try {
+    await withSessionStore("readwrite", (store) => store.add(session));
+    if (!domElements.historySection.classList.contains("hidden")) await renderHistory();
+  } catch (error) {
+    console.error("Error saving session:", error);
+  }
+}
+
+/**
+ * Delete one logged session
+ */
+async function deleteSession(id) {
+  try {
+    await withSessionStore("readwrite", (store) => store.delete(id));
+    await renderHistory();
+  } catch (error) {
+    console.error("Error deleting session:", error);
+  }
+}
+
+/**
+ * Delete every logged session
+ */
+async function clearSessions() {
+  if (!confirm("Delete the whole session history?")) return;
+
+  try {
+    await withSessionStore("readwrite", (store) => store.clear());
+    await renderHistory();
+  } catch (error) {
+    console.error("Error clearing sessions:", error);
+  }
+}
+
+/**
+ * Get the local midnight starting a day
+ */
+function startOfDay(time) {
+  const date = new Date(time);
+  date.setHours(0, 0, 0, 0);
+  return date;
+}
+
+/**
+ * Get the local midnight starting a week (weeks start on Monday)
+ */
+function startOfWeek(time) {
+  const date = startOfDay(time);
+  date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+  return date;
+}
+
+/**
+ * Build the chart periods for the current range, oldest first, each with its
+ * total per tag
+ */
+function getHistoryPeriods(sessions) {
+  const isWeekly = historyState.range === "week";
+  const count = isWeekly ? 8 : 7;
+  const current = isWeekly ? startOfWeek(Date.now()) : startOfDay(Date.now());
+
+  const periods = Array.from({ length: count }, (_, index) => {
+    const start = new Date(current);
+    start.setDate(start.getDate() - (count - 1 - index) * (isWeekly ? 7 : 1));
+    const end = new Date(start);
+    end.setDate(end.getDate() + (isWeekly ? 7 : 1));
+
+    const label = isWeekly
+      ? start.toLocaleDateString(undefined, { month: "short", day: "numeric" })
+      : start.toLocaleDateString(undefined, { weekday: "short" });
+
+    return { start: start.getTime(), end: end.getTime(), label, totals: new Map(), total: 0 };
+  });
+
+  sessions.forEach(({ startedAt, duration, tag }) => {
+    const period = periods.find(({ start, end }) => startedAt >= start && startedAt < end);
+    if (!period) return;
+
+    period.totals.set(tag, (period.totals.get(tag) || 0) + duration);
+    period.total += duration;
+  });
+
+  return periods;
+}
+
+/**
+ * Pick a stable color for a tag
+ */
+function getTagColor(tag) {
+  if (!tag) return UNTAGGED_COLOR;
+
+  const hash = [...tag].reduce((total, char) => (total * 31 + char.charCodeAt(0)) >>> 0, 7);
+  return TIMER_COLORS[hash % TIMER_COLORS.length];
+}
+
+/**
+ * Draw the periods as bars stacked by tag, with each period's total above its bar
+ */
+function drawHistoryChart(periods) {
+  const canvas = domElements.historyChart;
+  const context = canvas.getContext && canvas.getContext("2d");
+  if (!context) return;
+
+  // Draw at the screen's pixel density so the text stays sharp
+  const scale = window.devicePixelRatio || 1;
+  const width = canvas.clientWidth || 300;
+  const height = canvas.clientHeight || 180;
+  canvas.width = width * scale;
+  canvas.height = height * scale;
+  context.setTransform(scale, 0, 0, scale, 0, 0);
+  context.clearRect(0, 0, width, height);
+
+  const top = 18;
+  const bottom = height - 20;
+  const slot = width / periods.length;
+  const barWidth = Math.min(slot * 0.6, 36);
+  const highest = Math.max(...periods.map(({ total }) => total), 1);
+
+  context.font = "11px sans-serif";
+  context.textAlign = "center";
+
+  periods.forEach((period, index) => {
+    const x = slot * index + (slot - barWidth) / 2;
+    let y = bottom;
+
+    [...period.totals].sort(([a], [b]) => a.localeCompare(b)).forEach(([tag, duration]) => {
+      const barHeight = (duration / highest) * (bottom - top);
+      context.fillStyle = getTagColor(tag);
+      context.fillRect(x, y - barHeight, barWidth, barHeight);
+      y -= barHeight;
+    });
+
+    context.fillStyle = "rgba(255, 255, 255, 0.6)";
+    context.fillText(period.label, x + barWidth / 2, height - 5);
+    if (period.total) {
+      context.fillStyle = "rgba(255, 255, 255, 0.85)";
+      // Long display formats are squeezed to the bar's slot rather than overlapping
+      context.fillText(formatDisplayTime(period.total), x + barWidth / 2, y - 5, slot - 4);
+    }
+  });
+}
+
+/**
+ * List the total per tag over the charted range
+ */
+function renderHistoryTotals(periods) {
+  const totals = new Map();
+  periods.forEach((period) => {
+    period.totals.forEach((duration, tag) => totals.set(tag, (totals.get(tag) || 0) + duration));
+  });
+
+  domElements.historyTotals.innerHTML = "";
+  [...totals].sort((a, b) => b[1] - a[1]).forEach(([tag, duration]) => {
+    const item = document.createElement("li");
+    item.className = "history-total";
+    item.style.borderLeftColor = getTagColor(tag);
+
+    const name = document.createElement("span");
+    name.textContent = tag || "Untagged";
+
+    const value = document.createElement("span");
+    value.className = "history-total-time";
+    value.textContent = formatDisplayTime(duration);
+
+    item.append(name, value);
+    domElements.historyTotals.appendChild(item);
+  });
+}
+
+/**
+ * List the most recent sessions, newest first
+ */
+function renderRecentSessions(sessions) {
+  domElements.historyList.innerHTML = "";
+
+  sessions.slice(-RECENT_SESSION_LIMIT).reverse().forEach(({ id, startedAt, duration, label, tag, laps }) => {
+    const item = document.createElement("li");
+    item.className = "history-item";
+    item.style.borderLeftColor = getTagColor(tag);
+
+    const details = document.createElement("span");
+    details.className = "history-item-details";
+    details.textContent = [
+      new Date(startedAt).toLocaleString(undefined, { dateStyle: "short", timeStyle: "short" }),
+      label,
+      tag,
+      laps.length ? `${laps.length} lap${laps.length === 1 ? "" : "s"}` : "",
+    ].filter(Boolean).join(" · ");
+
+    const time = document.createElement("span");
+    time.className = "history-item-time";
+    time.textContent = formatDisplayTime(duration);
+
+    const remove = document.createElement("button");
+    remove.className = "preset-delete";
+    remove.dataset.session = String(id);
+    remove.setAttribute("aria-label", "Delete session");
+    remove.textContent = "×";
+
+    item.append(details, time, remove);
+    domElements.historyList.appendChild(item);
+  });
+}
+
+/**
+ * Offer the tags used so far as suggestions for the tag field
+ */
+function renderTagOptions(sessions) {
+  const tags = new Set([...sessions.map(({ tag }) => tag), ...stopwatchState.timers.map(({ tag }) => tag)]);
+
+  domElements.tagOptions.innerHTML = "";
+  [...tags].filter(Boolean).sort().forEach((tag) => {
+    const option = document.createElement("option");
+    option.value = tag;
+    domElements.tagOptions.appendChild(option);
+  });
+}
+
+/**
+ * Render the history panel: chart, totals per tag and recent sessions
+ */
+async function renderHistory() {
+  domElements.historyRange.querySelectorAll("[data-range]").forEach((button) => {
+    button.setAttribute("aria-pressed", String(button.dataset.range === historyState.range));
+  });
+
+  try {
+    const sessions = await getSessions();
+    const periods = getHistoryPeriods(sessions);
+
+    domElements.historyMessage.textContent = sessions.length
+      ? ""
+      : "No sessions yet. Runs are logged here when a timer is reset.";
+    drawHistoryChart(periods);
+    renderHistoryTotals(periods);
+    renderRecentSessions(sessions);
+    renderTagOptions(sessions);
+  } catch (error) {
+    console.error("Error loading session history:", error);
+    domElements.historyMessage.textContent = "Session history isn't available in this browser.";
+  }
+}
+
+/**
+ * Show or hide the history panel
+ */
+function toggleHistory() {
+  const isHidden = domElements.historySection.classList.toggle("hidden");
+  domElements.historyBtn.setAttribute("aria-expanded", String(!isHidden));
+  if (!isHidden) renderHistory();
+}
+
+/**
+ * Quote a CSV field when it holds a comma, quote or line break
+ */
+function toCsvField(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build every logged session as CSV
+ */
+function sessionsToCsv(sessions) {
+  const rows = sessions.map(({ startedAt, endedAt, duration, label, tag, mode, laps }) => [
+    new Date(startedAt).toISOString(),
+    new Date(endedAt).toISOString(),
+    formatDisplayTime(duration),
+    duration,
+    label,
+    tag,
+    mode,
+    laps.length,
+    laps.map(({ lapTime }) => lapTime).join(";"),
+  ].map(toCsvField).join(","));
+
+  return ["started_at,ended_at,duration,duration_ms,label,tag,mode,laps,lap_ms", ...rows].join("\n");
+}
+
+/**
+ * Download the session history as CSV
+ */
+async function exportSessions() {
+  try {
+    downloadFile("stopwatch-sessions.csv", sessionsToCsv(await getSessions()), "text/csv");
+  } catch (error) {
+    console.error("Error exporting sessions:", error);
+  }
+}
+
+// ===== Persistence =====
+
+/**
+ * Save every timer to localStorage and tell other tabs
+ *
+ * performance.now() starts over with every page load, so a running timer is
+ * saved as the wall-clock time (Date.now()) at which its current run started.
+ */
+function saveState() {
+  const saved = {
+    version: 2,
+    selectedId: stopwatchState.selectedId,
+    onlyOneRunning: stopwatchState.onlyOneRunning,
+    nextNumber: stopwatchState.nextNumber,
+    timers: stopwatchState.timers.map((timer) => ({
+      id: timer.id,
+      name: timer.name,
+      color: timer.color,
+      mode: timer.mode,
+      isRunning: timer.isRunning,
+      accumulatedTime: timer.accumulatedTime,
+      startedAt: timer.isRunning ? Date.now() - (performance.now() - timer.startPerformanceTime) : null,
+      laps: timer.laps,
+      countdownDuration: timer.countdownDuration,
+      programId: timer.programId,
+      tag: timer.tag,
+      sessionStart: timer.sessionStart,
+      allowOvertime: timer.allowOvertime,
+      hasAlarmed: timer.hasAlarmed,
+    })),
+  };
+
+  localStorage.setItem(STATE_STORAGE_KEY, JSON.stringify(saved));
+  if (syncChannel) syncChannel.postMessage(saved);
+  syncTimingWorker();
+}
+
+/**
+ * Load the saved timers from localStorage
+ */
+function loadState() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STATE_STORAGE_KEY));
+    if (saved) applySavedState(saved);
+  } catch (error) {
+    console.error("Error loading stopwatch state:", error);
+  }
+}
+
+/**
+ * Rebuild a timer from its saved form, ignoring invalid values
+ */
+function restoreTimer(saved, index) {
+  const isValidLap = (lap) => lap && Number.isFinite(lap.lapTime) && Number.isFinite(lap.splitTime);
+  const isRunning = saved.isRunning === true && Number.isFinite(saved.startedAt);
+  const previous = typeof saved.id === "string" ? findTimer(saved.id) : null;
+
+  const timer = createTimer({
+    id: typeof saved.id === "string" && saved.id ? saved.id : createTimerId(),
+    name: (typeof saved.name === "string" && saved.name.trim().slice(0, 40)) || `Timer ${index + 1}`,
+    color: /^#[0-9a-f]{6}$/i.test(saved.color) ? saved.color : TIMER_COLORS[index % TIMER_COLORS.length],
+  });
+
+  timer.mode = ["countdown", "interval"].includes(saved.mode) ? saved.mode : "stopwatch";
+  timer.accumulatedTime = Math.max(Number(saved.accumulatedTime) || 0, 0);
+  timer.laps = Array.isArray(saved.laps) ? saved.laps.filter(isValidLap) : [];
+  timer.allowOvertime = saved.allowOvertime === true;
+  timer.hasAlarmed = saved.hasAlarmed === true;
+  timer.isAlarming = Boolean(previous && previous.isAlarming && timer.hasAlarmed);
+  if (Number(saved.countdownDuration) > 0) {
+    timer.countdownDuration = Number(saved.countdownDuration);
+  }
+  if (typeof saved.programId === "string") {
+    timer.programId = saved.programId;
+  }
+  if (typeof saved.tag === "string") {
+    timer.tag = saved.tag.trim().slice(0, 40);
+  }
+  if (Number.isFinite(saved.sessionStart)) {
+    timer.sessionStart = saved.sessionStart;
+  }
+  if (previous) {
+    timer.segmentIndex = previous.segmentIndex;
+    timer.cueSecond = previous.cueSecond;
+  }
+
+  // Map the wall-clock start onto this page's performance.now() clock
+  timer.isRunning = isRunning;
+  if (isRunning) {
+    timer.startPerformanceTime = performance.now() - Math.max(Date.now() - saved.startedAt, 0);
+  }
+  return timer;
+}
+
+/**
+ * Apply a saved state (from localStorage or another tab)
+ *
+ * Saves from before multiple timers hold a single timer's fields at the top level.
+ */
+function applySavedState(saved) {
+  const savedTimers = Array.isArray(saved.timers) ? saved.timers : [saved];
+  const timers = savedTimers.filter((timer) => timer && typeof timer === "object").map(restoreTimer);
+
+  // Default names count from one past the timers there already are
+  stopwatchState.nextNumber = Number.isInteger(saved.nextNumber) && saved.nextNumber > timers.length
+    ? saved.nextNumber
+    : timers.length + 1;
+  stopwatchState.timers = timers;
+  stopwatchState.onlyOneRunning = saved.onlyOneRunning === true;
+  ensureTimer();
+
+  // Each tab keeps its own selection while that timer still exists
+  if (!findTimer(stopwatchState.selectedId)) {
+    stopwatchState.selectedId = findTimer(saved.selectedId) ? saved.selectedId : stopwatchState.timers[0].id;
+  }
+
+  domElements.onlyOneToggle.checked = stopwatchState.onlyOneRunning;
+  startLoop();
+  syncTimingWorker();
+  renderTimerList();
+  renderSelectedTimer();
+}
+
+// ===== Animation Frame Handler =====
+
+/**
+ * Main animation loop: one frame draws every running timer
+ *
+ * Timed events come from the timing worker; without one, the frames check for them.
+ */
+function animationTick() {
+  stopwatchState.rafId = 0;
+
+  if (!timingWorker) checkRunningTimers();
+  renderTimes();
+
+  startLoop();
+}
+
+/**
+ * Run the due events of every running timer (used when there is no timing worker)
+ */
+function checkRunningTimers() {
+  stopwatchState.timers
+    .filter((timer) => timer.isRunning)
+    .forEach((timer) => checkTimerEvents(timer, getElapsedTime(timer)));
+}
+
+/**
+ * Once-a-second update while the tab is hidden and there is no timing worker
+ *
+ * Hidden tabs get no animation frames, so this is what sounds countdown alarms
+ * and interval cues in the background.
+ */
+function fallbackTick() {
+  checkRunningTimers();
+  renderTimes();
+}
+
+/**
+ * Start the animation loop if any timer is running and the page (or the floating
+ * timer window) is visible
+ */
+function startLoop() {
+  const frameWindow = document.hidden ? pipState.window : window;
+  if (stopwatchState.rafId || !frameWindow) return;
+  if (!stopwatchState.timers.some((timer) => timer.isRunning)) return;
+
+  stopwatchState.rafWindow = frameWindow;
+  stopwatchState.rafId = frameWindow.requestAnimationFrame(animationTick);
+}
+
+/**
+ * Stop the animation loop
+ */
+function stopLoop() {
+  if (stopwatchState.rafId) {
+    stopwatchState.rafWindow.cancelAnimationFrame(stopwatchState.rafId);
+  }
+  stopwatchState.rafId = 0;
+}
+
+// ===== Timing Worker =====
+
+/**
+ * Start the timing worker, leaving timingWorker null if the browser won't run it
+ */
+function startTimingWorker() {
+  if (!("Worker" in window)) return;
+
+  try {
+    timingWorker = new Worker(TIMING_WORKER_URL);
+  } catch (error) {
+    console.error("Error starting timing worker:", error);
+    return;
+  }
+
+  timingWorker.addEventListener("message", handleWorkerMessage);
+  timingWorker.addEventListener("error", (event) => {
+    // Fall back to checking for events in the animation loop, or once a second while hidden
+    console.error("Error in timing worker:", event.message);
+    timingWorker.terminate();
+    timingWorker = null;
+    workerReadings.clear();
+
+    if (document.hidden && !stopwatchState.fallbackTickId) {
+      stopwatchState.fallbackTickId = setInterval(fallbackTick, 1000);
+    }
+  });
+  syncTimingWorker();
+}
+
+/**
+ * Run a timer's timed events (countdown alarm, interval cues) up to an elapsed time
+ */
+function checkTimerEvents(timer, elapsed) {
+  checkCountdown(timer, elapsed);
+  checkInterval(timer, elapsed);
+}
+
+/**
+ * List the elapsed times (ms, ascending) at which a timer has something to do
+ */
+function getTimerEvents(timer) {
+  if (timer.hasAlarmed) return [];
+  if (timer.mode === "countdown") return [timer.countdownDuration];
+  if (timer.mode !== "interval") return [];
+
+  // Each segment end, plus the three countdown beeps before it
+  const events = [];
+  let segmentEnd = 0;
+  expandProgram(getTimerProgram(timer)).forEach(({ duration }) => {
+    const segmentStart = segmentEnd;
+    segmentEnd += duration;
+    [3000, 2000, 1000].forEach((lead) => {
+      if (segmentEnd - lead > segmentStart) events.push(segmentEnd - lead);
+    });
+    events.push(segmentEnd);
+  });
+  return events;
+}
+
+/**
+ * List the elapsed times (ms, ascending) at which an interval timer's segments end,
+ * or null for other modes
+ */
+function getSegmentEnds(timer) {
+  if (timer.mode !== "interval") return null;
+
+  let segmentEnd = 0;
+  return expandProgram(getTimerProgram(timer)).map(({ duration }) => (segmentEnd += duration));
+}
+
+/**
+ * Get how often the worker should post: every frame while a time is drawn (the page
+ * or a floating timer is showing), otherwise once a second for the title and favicon
+ */
+function getWorkerInterval() {
+  const isDrawn = !document.hidden || pipState.window || pipState.video;
+  return isDrawn ? FRAME_INTERVAL : HIDDEN_INTERVAL;
+}
+
+/**
+ * Send the worker every timer's clock, countdown or segments, and upcoming events
+ *
+ * The worker has its own performance.now(), so start times go over as epoch ms.
+ * Readings from before the change are dropped, along with any posts already on
+ * their way, until the worker posts for this sync.
+ */
+function syncTimingWorker() {
+  if (!timingWorker) return;
+
+  workerReadings.clear();
+  workerGeneration++;
+  timingWorker.postMessage({
+    type: "sync",
+    generation: workerGeneration,
+    interval: getWorkerInterval(),
+    timers: stopwatchState.timers.map((timer) => ({
+      id: timer.id,
+      isRunning: timer.isRunning,
+      accumulatedTime: timer.accumulatedTime,
+      startedAt: performance.timeOrigin + timer.startPerformanceTime,
+      events: getTimerEvents(timer).filter((event) => event > timer.accumulatedTime),
+      countdownDuration: timer.mode === "countdown" ? timer.countdownDuration : null,
+      segmentEnds: getSegmentEnds(timer),
+    })),
+  });
+}
 
 /**
- * Format milliseconds to HH:MM:SS.CS format
+ * Keep the state the worker posted for drawing, and run the events that are due
+ *
+ * Posts from before the latest sync describe timers as they were (e.g. before a
+ * reset), so they're ignored rather than allowed to fire old events.
  */
-function formatTime(milliseconds) {
-  const totalCentiseconds = Math.floor(milliseconds / 10);
-  const centiseconds = totalCentiseconds % 100;
+function handleWorkerMessage(event) {
+  if (event.data.type !== "state" || event.data.generation !== workerGeneration) return;
+
+  event.data.timers.forEach(({ id, elapsed, remaining }) => {
+    const timer = findTimer(id);
+    if (!timer || !timer.isRunning) return;
 
-  const totalSeconds = Math.floor(totalCentiseconds / 100);
-  const seconds = totalSeconds % 60;
+    workerReadings.set(id, { elapsed, remaining });
+    checkTimerEvents(timer, elapsed);
+  });
 
-  const totalMinutes = Math.floor(totalSeconds / 60);
-  const minutes = totalMinutes % 60;
+  // Without animation frames, the worker's posts keep the title, favicon and video PiP going
+  if (document.hidden && !stopwatchState.rafId) renderTimes();
+}
 
-  const hours = Math.floor(totalMinutes / 60);
+// ===== Floating Timer and Tab Title =====
 
-  return (
-    String(hours).padStart(2, "0") + ":" +
-    String(minutes).padStart(2, "0") + ":" +
-    String(seconds).padStart(2, "0") + "." +
-    String(centiseconds).padStart(2, "0")
-  );
+/**
+ * Check whether the browser can show a floating timer
+ */
+function isPipSupported() {
+  return "documentPictureInPicture" in window
+    || (document.pictureInPictureEnabled && "captureStream" in HTMLCanvasElement.prototype);
 }
 
 /**
- * Update the display with current time
+ * Open the floating timer, or close it if it is open
  */
-function updateDisplay(milliseconds) {
-  domElements.time.textContent = formatTime(milliseconds);
+async function togglePip() {
+  try {
+    if (pipState.window) {
+      pipState.window.close();
+    } else if (pipState.video) {
+      await document.exitPictureInPicture();
+    } else if ("documentPictureInPicture" in window) {
+      await openDocumentPip();
+    } else {
+      await openVideoPip();
+    }
+  } catch (error) {
+    console.error("Error toggling picture-in-picture:", error);
+  }
+  renderPipButton();
+  syncTimingWorker();
 }
 
 /**
- * Update button states based on stopwatch state
+ * Open a Document Picture-in-Picture window with the time and start/pause and lap buttons
+ *
+ * If the window opens but can't be filled, it's closed again so the button doesn't
+ * stay pressed for a window that isn't there.
  */
-function updateButtonStates() {
-  const { isRunning, accumulatedTime } = stopwatchState;
+async function openDocumentPip() {
+  const pipWindow = await documentPictureInPicture.requestWindow(PIP_SIZE);
 
-  if (isRunning) {
-    domElements.startPause.textContent = "Pause";
-  } else if (accumulatedTime > 0) {
-    domElements.startPause.textContent = "Resume";
-  } else {
-    domElements.startPause.textContent = "Start";
+  try {
+    fillDocumentPip(pipWindow);
+  } catch (error) {
+    pipState.window = null;
+    pipState.elements = null;
+    pipWindow.close();
+    renderPipButton();
+    throw error;
   }
+}
 
-  domElements.reset.disabled = isRunning || accumulatedTime === 0;
+/**
+ * Build the floating timer's time and buttons in a Document PiP window
+ */
+function fillDocumentPip(pipWindow) {
+  const pipDocument = pipWindow.document;
+
+  const stylesheet = pipDocument.createElement("link");
+  stylesheet.rel = "stylesheet";
+  stylesheet.href = new URL("./style.css", location.href).href;
+  pipDocument.head.appendChild(stylesheet);
+  pipDocument.body.className = "pip-body";
+
+  const name = pipDocument.createElement("div");
+  name.className = "timer-name";
+
+  const time = pipDocument.createElement("div");
+  time.className = "time-display pip-time";
+
+  const toggle = pipDocument.createElement("button");
+  toggle.className = "btn btn--primary";
+  toggle.addEventListener("click", () => toggleStartPause());
+
+  const lap = pipDocument.createElement("button");
+  lap.className = "btn btn--secondary";
+  lap.textContent = "Lap";
+  lap.addEventListener("click", () => recordLap());
+
+  const controls = pipDocument.createElement("div");
+  controls.className = "pip-controls";
+  controls.append(toggle, lap);
+  pipDocument.body.append(name, time, controls);
+  pipDocument.addEventListener("keydown", handleShortcutKey);
+
+  pipState.window = pipWindow;
+  pipState.elements = { name, time, toggle, lap };
+
+  pipWindow.addEventListener("pagehide", () => {
+    // Frames from the closed window stop, so the loop has to move back
+    if (stopwatchState.rafWindow === pipWindow) stopwatchState.rafId = 0;
+    pipState.window = null;
+    pipState.elements = null;
+    renderPipButton();
+    syncTimingWorker();
+    startLoop();
+  });
+
+  renderPip();
 }
 
-// ===== Animation Frame Handler =====
+/**
+ * Float the time as a video drawn from a canvas (where Document PiP isn't available)
+ *
+ * Video PiP windows only offer play/pause, which the Media Session handlers map
+ * to start and pause.
+ */
+async function openVideoPip() {
+  const canvas = document.createElement("canvas");
+  canvas.width = PIP_SIZE.width;
+  canvas.height = PIP_SIZE.height;
+
+  const video = document.createElement("video");
+  video.muted = true;
+  video.playsInline = true;
+  video.srcObject = canvas.captureStream();
+
+  pipState.canvas = canvas;
+  pipState.video = video;
+  drawPipCanvas();
+
+  video.addEventListener("leavepictureinpicture", () => closeVideoPip(video));
+
+  if ("mediaSession" in navigator) {
+    navigator.mediaSession.setActionHandler("play", () => startStopwatch());
+    navigator.mediaSession.setActionHandler("pause", () => pauseStopwatch());
+  }
+
+  // Permission denied or PiP blocked: undo the setup so the next click tries again
+  try {
+    await video.play();
+    await video.requestPictureInPicture();
+  } catch (error) {
+    closeVideoPip(video);
+    throw error;
+  }
+}
 
 /**
- * Main animation loop for smooth updates
+ * Tear down a video PiP: stop its canvas stream, drop the play/pause handlers and
+ * clear it from the PiP state
  */
-function animationTick() {
-  if (!stopwatchState.isRunning) return;
+function closeVideoPip(video) {
+  video.srcObject.getTracks().forEach((track) => track.stop());
+
+  if ("mediaSession" in navigator) {
+    navigator.mediaSession.setActionHandler("play", null);
+    navigator.mediaSession.setActionHandler("pause", null);
+  }
+
+  if (pipState.video === video) {
+    pipState.video = null;
+    pipState.canvas = null;
+  }
+  renderPipButton();
+  syncTimingWorker();
+}
+
+/**
+ * Draw the selected timer onto the PiP canvas
+ */
+function drawPipCanvas() {
+  const { canvas } = pipState;
+  const context = canvas.getContext("2d");
+  const timer = getSelectedTimer();
+  const { width, height } = canvas;
+
+  context.fillStyle = "#1a1a1a";
+  context.fillRect(0, 0, width, height);
+  context.fillStyle = timer.color;
+  context.fillRect(0, height - 6, width, 6);
+
+  context.textAlign = "center";
+  context.fillStyle = "rgba(255, 255, 255, 0.7)";
+  context.font = "600 16px sans-serif";
+  context.fillText(timer.isRunning ? timer.name : `${timer.name} (paused)`, width / 2, 36);
+
+  const text = formatTimerTime(timer, getTimerReading(timer));
+  context.fillStyle = "#ffffff";
+  context.font = `700 ${text.length > 11 ? 32 : 40}px "Courier New", monospace`;
+  context.fillText(text, width / 2, height / 2 + 18);
+}
+
+/**
+ * Update the floating timer with the selected timer's time and state
+ */
+function renderPip() {
+  const timer = getSelectedTimer();
+
+  if (pipState.elements) {
+    const { name, time, toggle, lap } = pipState.elements;
+    name.textContent = timer.name;
+    time.textContent = formatTimerTime(timer, getTimerReading(timer));
+    time.classList.toggle("is-long", time.textContent.length > 11);
+    toggle.textContent = getStartLabel(timer);
+    lap.disabled = !timer.isRunning;
+  }
+
+  if (pipState.canvas) {
+    drawPipCanvas();
+    if ("mediaSession" in navigator) {
+      navigator.mediaSession.playbackState = timer.isRunning ? "playing" : "paused";
+    }
+  }
+}
+
+/**
+ * Show whether the floating timer is open on its button
+ */
+function renderPipButton() {
+  const isOpen = Boolean(pipState.window || pipState.video);
+  domElements.pipBtn.classList.toggle("hidden", !isPipSupported());
+  domElements.pipBtn.setAttribute("aria-pressed", String(isOpen));
+}
+
+/**
+ * Show the selected timer's time in the tab title and favicon while it runs
+ */
+function renderAmbient() {
+  const timer = getSelectedTimer();
+  const text = timer.isRunning ? formatTimerTime(timer, getTimerReading(timer), AMBIENT_PATTERN) : "";
+  if (text === ambientText) return;
+
+  ambientText = text;
+  document.title = text ? `${text} · ${timer.name}` : APP_TITLE;
+  domElements.favicon.href = text ? drawFavicon(timer) : APP_FAVICON;
+}
+
+/**
+ * Draw the favicon: a ring in the timer's color filling up over each minute (or
+ * over the countdown or current interval segment)
+ */
+function drawFavicon(timer) {
+  const canvas = document.createElement("canvas");
+  canvas.width = 64;
+  canvas.height = 64;
+  const context = canvas.getContext("2d");
+  if (!context) return APP_FAVICON;
+
+  const { elapsed } = getTimerReading(timer);
+  let progress = (elapsed % 60000) / 60000;
+  if (timer.mode === "countdown") progress = Math.min(elapsed / timer.countdownDuration, 1);
+  if (timer.mode === "interval") progress = getIntervalPosition(timer, elapsed).progress;
 
-  const now = performance.now();
-  const currentTime = stopwatchState.accumulatedTime + (now - stopwatchState.startPerformanceTime);
+  context.lineWidth = 10;
+  context.strokeStyle = "rgba(128, 128, 128, 0.4)";
+  context.beginPath();
+  context.arc(32, 32, 26, 0, Math.PI * 2);
+  context.stroke();
 
-  updateDisplay(currentTime);
-  stopwatchState.rafId = requestAnimationFrame(animationTick);
+  context.strokeStyle = timer.color;
+  context.beginPath();
+  context.arc(32, 32, 26, -Math.PI / 2, -Math.PI / 2 + progress * Math.PI * 2);
+  context.stroke();
+
+  return canvas.toDataURL("image/png");
 }
 
 // ===== Control Functions =====
 
 /**
- * Start the stopwatch
+ * Start a timer (the selected one by default)
  */
-function startStopwatch() {
-  if (stopwatchState.isRunning) return;
+function startStopwatch(timer = getSelectedTimer()) {
+  if (timer.isRunning) return;
+
+  if (timer.mode !== "stopwatch") {
+    // A finished countdown or program starts over
+    if (timer.hasAlarmed && (timer.mode === "interval" || !timer.allowOvertime)) resetStopwatch(timer);
 
-  stopwatchState.isRunning = true;
-  stopwatchState.startPerformanceTime = performance.now();
+    unlockAudio();
+    requestNotificationPermission();
+  }
+  clearAlarm(timer);
 
-  if (!stopwatchState.rafId) {
-    stopwatchState.rafId = requestAnimationFrame(animationTick);
+  if (stopwatchState.onlyOneRunning) {
+    stopwatchState.timers
+      .filter((other) => other !== timer && other.isRunning)
+      .forEach((other) => pauseStopwatch(other));
   }
 
+  timer.isRunning = true;
+  timer.startPerformanceTime = performance.now();
+  if (timer.sessionStart === null) timer.sessionStart = Date.now();
+  timer.segmentIndex = timer.mode === "interval" ? getIntervalPosition(timer, timer.accumulatedTime).index : -1;
+
+  startLoop();
   updateButtonStates();
+  saveState();
 }
 
 /**
- * Pause the stopwatch
+ * Pause a timer (the selected one by default)
  */
-function pauseStopwatch() {
-  if (!stopwatchState.isRunning) return;
+function pauseStopwatch(timer = getSelectedTimer()) {
+  if (!timer.isRunning) return;
 
-  stopwatchState.isRunning = false;
+  timer.isRunning = false;
+  timer.accumulatedTime += performance.now() - timer.startPerformanceTime;
 
-  if (stopwatchState.rafId) {
-    cancelAnimationFrame(stopwatchState.rafId);
-  }
-  stopwatchState.rafId = 0;
+  // The loop ends by itself once nothing is running
+  if (!stopwatchState.timers.some((other) => other.isRunning)) stopLoop();
 
-  stopwatchState.accumulatedTime += performance.now() - stopwatchState.startPerformanceTime;
-  updateDisplay(stopwatchState.accumulatedTime);
+  renderTimes();
   updateButtonStates();
+  saveState();
 }
 
 /**
- * Reset the stopwatch
+ * Reset a timer (the selected one by default)
  */
-function resetStopwatch() {
-  if (stopwatchState.isRunning) return;
+function resetStopwatch(timer = getSelectedTimer()) {
+  if (timer.isRunning) return;
 
-  if (stopwatchState.rafId) {
-    cancelAnimationFrame(stopwatchState.rafId);
+  recordSession(timer);
+  timer.sessionStart = null;
+  timer.startPerformanceTime = 0;
+  timer.accumulatedTime = 0;
+  timer.laps = [];
+  timer.hasAlarmed = false;
+  timer.segmentIndex = -1;
+  timer.cueSecond = 0;
+  clearAlarm(timer);
+
+  renderTimes();
+  updateButtonStates();
+  if (timer === getSelectedTimer()) renderLaps();
+  saveState();
+}
+
+/**
+ * Toggle a timer between start/pause
+ */
+function toggleStartPause(timer = getSelectedTimer()) {
+  if (timer.isRunning) {
+    pauseStopwatch(timer);
+  } else {
+    startStopwatch(timer);
   }
-  stopwatchState.rafId = 0;
+}
 
-  stopwatchState.startPerformanceTime = 0;
-  stopwatchState.accumulatedTime = 0;
+// ===== Keyboard Shortcuts =====
 
-  updateDisplay(0);
-  updateButtonStates();
+/**
+ * Describe a key press the way bindings are written, e.g. "Space", "l", "?", "Ctrl+k"
+ *
+ * Shift is left out for punctuation, where it is already part of the character.
+ * Returns null for a modifier key pressed on its own.
+ */
+function getEventKey(event) {
+  const { key } = event;
+  if (!key || ["Shift", "Control", "Alt", "Meta"].includes(key)) return null;
+
+  const name = key === " " || event.code === "Space" ? "Space" : key.length === 1 ? key.toLowerCase() : key;
+  const modifiers = [];
+
+  // Cmd on a Mac does what Ctrl does elsewhere
+  if (event.ctrlKey || event.metaKey) modifiers.push("Ctrl");
+  if (event.altKey) modifiers.push("Alt");
+  if (event.shiftKey && (key.length > 1 || key === " " || /[a-z]/i.test(key))) modifiers.push("Shift");
+
+  return [...modifiers, name].join("+");
+}
+
+/**
+ * Format a binding for display, e.g. "Ctrl+k" → "Ctrl+K"
+ */
+function formatKey(binding) {
+  if (!binding) return "—";
+  return binding.split("+").map((part) => (part.length === 1 ? part.toUpperCase() : part)).join("+");
+}
+
+/**
+ * Load the key bindings, applying saved changes over the defaults
+ */
+function loadKeybindings() {
+  keybindingState.bindings = Object.fromEntries(COMMANDS.map(({ id, key }) => [id, key]));
+
+  try {
+    const saved = JSON.parse(localStorage.getItem(KEYBINDINGS_STORAGE_KEY)) || {};
+    COMMANDS.forEach(({ id }) => {
+      if (typeof saved[id] === "string" && !RESERVED_KEYS.includes(saved[id])) {
+        keybindingState.bindings[id] = saved[id];
+      }
+    });
+  } catch (error) {
+    console.error("Error loading keyboard shortcuts:", error);
+  }
+}
+
+/**
+ * Persist the bindings that differ from the defaults
+ */
+function saveKeybindings() {
+  const changed = Object.fromEntries(
+    COMMANDS.filter(({ id, key }) => keybindingState.bindings[id] !== key).map(({ id }) => [id, keybindingState.bindings[id]])
+  );
+  localStorage.setItem(KEYBINDINGS_STORAGE_KEY, JSON.stringify(changed));
+}
+
+/**
+ * Find the command bound to a key
+ */
+function findCommandByKey(key) {
+  return COMMANDS.find(({ id }) => keybindingState.bindings[id] === key);
+}
+
+/**
+ * Check whether key presses should go to a text field instead of the shortcuts
+ */
+function isTypingTarget(target) {
+  return Boolean(target && (["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName) || target.isContentEditable));
+}
+
+/**
+ * Run the command bound to a key press
+ *
+ * Open dialogs handle their own keys. In text fields only Ctrl and Alt shortcuts
+ * work, so typing never triggers anything.
+ */
+function handleShortcutKey(event) {
+  if (event.repeat || document.querySelector("dialog[open]")) return;
+
+  const key = getEventKey(event);
+  if (!key) return;
+  if (isTypingTarget(event.target) && !/^(Ctrl|Alt)\+/.test(key)) return;
+
+  const command = findCommandByKey(key);
+  if (!command) return;
+
+  event.preventDefault();
+  command.run();
 }
 
 /**
- * Toggle between start/pause
+ * Show the current bindings in the page subtitle
  */
-function toggleStartPause() {
-  if (stopwatchState.isRunning) {
-    pauseStopwatch();
+function renderShortcutHint() {
+  const { bindings } = keybindingState;
+  const hints = [["toggle", "Start/Pause"], ["lap", "Lap"], ["reset", "Reset"], ["help", "Shortcuts"]]
+    .filter(([id]) => bindings[id])
+    .map(([id, label]) => `${formatKey(bindings[id])} (${label})`);
+
+  domElements.shortcutHint.textContent = hints.join(" | ");
+}
+
+/**
+ * Open the help overlay listing every shortcut
+ */
+function openHelp() {
+  domElements.helpList.innerHTML = "";
+
+  COMMANDS.forEach(({ id, label }) => {
+    const key = document.createElement("dt");
+    const keyName = document.createElement("kbd");
+    keyName.textContent = formatKey(keybindingState.bindings[id]);
+    key.appendChild(keyName);
+
+    const description = document.createElement("dd");
+    description.textContent = label;
+
+    domElements.helpList.append(key, description);
+  });
+
+  domElements.helpDialog.showModal();
+}
+
+/**
+ * Open the shortcut settings
+ */
+function openShortcutSettings() {
+  keybindingState.capturingId = null;
+  domElements.shortcutsMessage.textContent = "";
+  renderShortcutSettings();
+  domElements.shortcutsDialog.showModal();
+}
+
+/**
+ * Render one row per command with a button to change its key
+ */
+function renderShortcutSettings() {
+  domElements.shortcutsList.innerHTML = "";
+
+  COMMANDS.forEach(({ id, label }) => {
+    const item = document.createElement("li");
+    item.className = "shortcut-item";
+
+    const name = document.createElement("span");
+    name.textContent = label;
+
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "btn-small shortcut-key";
+    button.dataset.command = id;
+    button.setAttribute("aria-label", `Change shortcut for ${label}`);
+    button.textContent = keybindingState.capturingId === id ? "Press a key…" : formatKey(keybindingState.bindings[id]);
+    button.classList.toggle("is-capturing", keybindingState.capturingId === id);
+
+    item.append(name, button);
+    domElements.shortcutsList.appendChild(item);
+  });
+}
+
+/**
+ * Wait for the next key press to become a command's shortcut
+ */
+function startCapture(id) {
+  keybindingState.capturingId = id;
+  domElements.shortcutsMessage.textContent = "Press the new key. Backspace removes the shortcut, Escape cancels.";
+  renderShortcutSettings();
+}
+
+/**
+ * Bind the key pressed while capturing, checking for conflicts
+ */
+function handleCaptureKey(event) {
+  const id = keybindingState.capturingId;
+  if (!id) return;
+
+  const key = getEventKey(event);
+  if (!key) return;
+
+  // Keep Escape from closing the dialog and the key from reaching anything else
+  event.preventDefault();
+  event.stopPropagation();
+  keybindingState.capturingId = null;
+
+  if (key === "Escape") {
+    domElements.shortcutsMessage.textContent = "";
+  } else if (key === "Backspace" || key === "Delete") {
+    setKeybinding(id, "");
+  } else if (RESERVED_KEYS.includes(key)) {
+    domElements.shortcutsMessage.textContent = `${formatKey(key)} can't be used as a shortcut.`;
   } else {
-    startStopwatch();
+    setKeybinding(id, key);
   }
+  renderShortcutSettings();
 }
 
-// ===== Event Listeners =====
+/**
+ * Give a command a new key, moving it away from another command if the user agrees
+ */
+function setKeybinding(id, key) {
+  const conflict = key && findCommandByKey(key);
+
+  if (conflict && conflict.id !== id) {
+    if (!confirm(`${formatKey(key)} is already used for "${conflict.label}". Use it for this instead?`)) {
+      domElements.shortcutsMessage.textContent = "Shortcut not changed.";
+      return;
+    }
+    keybindingState.bindings[conflict.id] = "";
+  }
 
-domElements.startPause.addEventListener("click", toggleStartPause);
-domElements.reset.addEventListener("click", resetStopwatch);
+  keybindingState.bindings[id] = key;
+  domElements.shortcutsMessage.textContent = conflict && conflict.id !== id
+    ? `"${conflict.label}" no longer has a shortcut.`
+    : "";
+  saveKeybindings();
+  renderShortcutHint();
+}
 
 /**
- * Keyboard controls
+ * Put every shortcut back to its default
  */
-document.addEventListener("keydown", (event) => {
-  const { key } = event;
-  const isSpace = key === " " || event.code === "Space";
+function resetKeybindings() {
+  keybindingState.bindings = Object.fromEntries(COMMANDS.map(({ id, key }) => [id, key]));
+  keybindingState.capturingId = null;
+  domElements.shortcutsMessage.textContent = "Shortcuts reset to the defaults.";
+  saveKeybindings();
+  renderShortcutSettings();
+  renderShortcutHint();
+}
 
-  if (isSpace) {
-    event.preventDefault();
-    toggleStartPause();
-    return;
+/**
+ * List the palette's commands: every action plus selecting each timer
+ */
+function getPaletteCommands() {
+  const timerCommands = stopwatchState.timers.map((timer) => ({
+    id: `select-${timer.id}`,
+    label: `Select timer: ${timer.name}`,
+    run: () => selectTimer(timer.id),
+  }));
+
+  return [...COMMANDS.filter(({ id }) => id !== "palette"), ...timerCommands];
+}
+
+/**
+ * Open the command palette
+ */
+function openPalette() {
+  domElements.paletteInput.value = "";
+  renderPalette();
+  domElements.paletteDialog.showModal();
+  domElements.paletteInput.focus();
+}
+
+/**
+ * Render the commands matching every word of the palette search
+ */
+function renderPalette() {
+  const words = domElements.paletteInput.value.toLowerCase().split(/\s+/).filter(Boolean);
+
+  keybindingState.paletteMatches = getPaletteCommands()
+    .filter(({ label }) => words.every((word) => label.toLowerCase().includes(word)));
+  keybindingState.paletteIndex = 0;
+
+  domElements.paletteList.innerHTML = "";
+  keybindingState.paletteMatches.forEach(({ id, label }, index) => {
+    const item = document.createElement("li");
+    item.className = "palette-item";
+    item.id = `palette-${index}`;
+    item.dataset.index = String(index);
+    item.setAttribute("role", "option");
+
+    const name = document.createElement("span");
+    name.textContent = label;
+    item.appendChild(name);
+
+    if (keybindingState.bindings[id]) {
+      const key = document.createElement("kbd");
+      key.textContent = formatKey(keybindingState.bindings[id]);
+      item.appendChild(key);
+    }
+    domElements.paletteList.appendChild(item);
+  });
+
+  highlightPaletteItem();
+}
+
+/**
+ * Highlight the selected palette entry and keep it in view
+ */
+function highlightPaletteItem() {
+  const { paletteIndex, paletteMatches } = keybindingState;
+
+  domElements.paletteList.querySelectorAll("[data-index]").forEach((item) => {
+    const isActive = Number(item.dataset.index) === paletteIndex;
+    item.classList.toggle("is-active", isActive);
+    item.setAttribute("aria-selected", String(isActive));
+    if (isActive) item.scrollIntoView({ block: "nearest" });
+  });
+
+  if (paletteMatches.length) {
+    domElements.paletteInput.setAttribute("aria-activedescendant", `palette-${paletteIndex}`);
+  } else {
+    domElements.paletteInput.removeAttribute("aria-activedescendant");
   }
+}
 
-  if (key.toLowerCase() === "r") {
-    resetStopwatch();
+/**
+ * Move through the palette with the arrow keys and run the entry with Enter
+ */
+function handlePaletteKey(event) {
+  const { paletteMatches } = keybindingState;
+  if (!paletteMatches.length) return;
+
+  if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+    event.preventDefault();
+    const step = event.key === "ArrowDown" ? 1 : -1;
+    keybindingState.paletteIndex = (keybindingState.paletteIndex + step + paletteMatches.length) % paletteMatches.length;
+    highlightPaletteItem();
+  } else if (event.key === "Enter") {
+    event.preventDefault();
+    runPaletteCommand(paletteMatches[keybindingState.paletteIndex]);
   }
+}
+
+/**
+ * Close the palette and run a command
+ */
+function runPaletteCommand(command) {
+  if (!command) return;
+
+  domElements.paletteDialog.close();
+  command.run();
+}
+
+// ===== Event Listeners =====
+
+domElements.startPause.addEventListener("click", () => toggleStartPause());
+domElements.reset.addEventListener("click", () => resetStopwatch());
+domElements.lap.addEventListener("click", () => recordLap());
+
+domElements.modeSwitch.addEventListener("click", (event) => {
+  const button = event.target.closest("[data-mode]");
+  if (button) setMode(button.dataset.mode);
+});
+
+domElements.durationInput.addEventListener("change", applyDurationInput);
+domElements.savePresetBtn.addEventListener("click", addPreset);
+domElements.presetList.addEventListener("click", handlePresetClick);
+
+domElements.overtimeToggle.addEventListener("change", (event) => {
+  getSelectedTimer().allowOvertime = event.target.checked;
+  saveState();
+});
+
+domElements.programSelect.addEventListener("change", (event) => setTimerProgram(event.target.value));
+domElements.newProgramBtn.addEventListener("click", addProgram);
+domElements.deleteProgramBtn.addEventListener("click", deleteProgram);
+domElements.saveProgramBtn.addEventListener("click", saveProgram);
+domElements.importProgramsBtn.addEventListener("click", () => domElements.programFile.click());
+
+domElements.programFile.addEventListener("change", async (event) => {
+  const [file] = event.target.files;
+  if (file) await importPrograms(file);
+  event.target.value = "";
+});
+
+domElements.exportProgramsBtn.addEventListener("click", () => {
+  downloadFile("stopwatch-programs.json", programsToJson(), "application/json");
+});
+
+domElements.sessionTag.addEventListener("change", (event) => {
+  getSelectedTimer().tag = event.target.value.trim().slice(0, 40);
+  event.target.value = getSelectedTimer().tag;
+  saveState();
+});
+
+domElements.historyBtn.addEventListener("click", toggleHistory);
+domElements.exportHistoryBtn.addEventListener("click", exportSessions);
+domElements.clearHistoryBtn.addEventListener("click", clearSessions);
+
+domElements.historyRange.addEventListener("click", (event) => {
+  const button = event.target.closest("[data-range]");
+  if (!button) return;
+
+  historyState.range = button.dataset.range;
+  renderHistory();
+});
+
+domElements.historyList.addEventListener("click", (event) => {
+  const button = event.target.closest("[data-session]");
+  if (button) deleteSession(Number(button.dataset.session));
+});
+
+domElements.formatSelect.addEventListener("change", (event) => {
+  setPreferences({ format: event.target.value });
+});
+
+domElements.formatPattern.addEventListener("change", (event) => {
+  setPreferences({ customPattern: event.target.value });
+});
+
+domElements.localeToggle.addEventListener("change", (event) => {
+  setPreferences({ localeAware: event.target.checked });
+});
+
+domElements.addTimerBtn.addEventListener("click", addTimer);
+domElements.timerList.addEventListener("click", handleTimerListClick);
+
+domElements.timerList.addEventListener("change", (event) => {
+  const item = event.target.closest("[data-timer-id]");
+  const timer = item && findTimer(item.dataset.timerId);
+  if (!timer) return;
+
+  if (event.target.dataset.field === "name") renameTimer(timer, event.target.value);
+  else if (event.target.dataset.field === "color") setTimerColor(timer, event.target.value);
+});
+
+domElements.onlyOneToggle.addEventListener("change", (event) => {
+  setOnlyOneRunning(event.target.checked);
+});
+
+if (syncChannel) {
+  syncChannel.addEventListener("message", (event) => applySavedState(event.data));
+} else {
+  window.addEventListener("storage", (event) => {
+    if (event.key !== STATE_STORAGE_KEY || !event.newValue) return;
+
+    try {
+      applySavedState(JSON.parse(event.newValue));
+    } catch (error) {
+      console.error("Error syncing stopwatch state:", error);
+    }
+  });
+}
+
+domElements.exportCsvBtn.addEventListener("click", () => exportLaps("csv"));
+domElements.exportJsonBtn.addEventListener("click", () => exportLaps("json"));
+
+domElements.shortcutsBtn.addEventListener("click", openHelp);
+domElements.pipBtn.addEventListener("click", togglePip);
+domElements.customizeShortcutsBtn.addEventListener("click", () => {
+  domElements.helpDialog.close();
+  openShortcutSettings();
+});
+domElements.resetShortcutsBtn.addEventListener("click", resetKeybindings);
+domElements.shortcutsList.addEventListener("click", (event) => {
+  const button = event.target.closest("[data-command]");
+  if (button) startCapture(button.dataset.command);
+});
+domElements.shortcutsDialog.addEventListener("keydown", handleCaptureKey);
+domElements.shortcutsDialog.addEventListener("close", () => {
+  keybindingState.capturingId = null;
 });
 
+domElements.paletteInput.addEventListener("input", renderPalette);
+domElements.paletteInput.addEventListener("keydown", handlePaletteKey);
+domElements.paletteList.addEventListener("click", (event) => {
+  const item = event.target.closest("[data-index]");
+  if (item) runPaletteCommand(keybindingState.paletteMatches[Number(item.dataset.index)]);
+});
+
+/**
+ * Keyboard shortcuts (for the selected timer)
+ */
+document.addEventListener("keydown", handleShortcutKey);
+
 /**
- * Handle visibility change (pause when tab is hidden to save resources)
+ * Handle visibility change (stop drawing while the tab is hidden to save resources;
+ * the timers keep counting from their start anchors and the timing worker keeps
+ * firing their events). While hidden, a floating timer window keeps the frames
+ * going, and otherwise the title and favicon update once a second.
  */
 document.addEventListener("visibilitychange", () => {
-  if (document.hidden && stopwatchState.isRunning) {
-    stopwatchState.accumulatedTime += performance.now() - stopwatchState.startPerformanceTime;
-    stopwatchState.startPerformanceTime = performance.now();
-    updateDisplay(stopwatchState.accumulatedTime);
-
-    if (stopwatchState.rafId) {
-      cancelAnimationFrame(stopwatchState.rafId);
-      stopwatchState.rafId = 0;
-    }
-  } else if (!document.hidden && stopwatchState.isRunning && !stopwatchState.rafId) {
-    stopwatchState.startPerformanceTime = performance.now();
-    stopwatchState.rafId = requestAnimationFrame(animationTick);
+  stopLoop();
+  clearInterval(stopwatchState.fallbackTickId);
+  stopwatchState.fallbackTickId = 0;
+
+  if (document.hidden) {
+    renderTimes();
+
+    // The timing worker's ticks cover this when there is one
+    if (!timingWorker) stopwatchState.fallbackTickId = setInterval(fallbackTick, 1000);
   }
+  syncTimingWorker();
+  startLoop();
 });
 
 // ===== Initialize =====
-updateDisplay(0);
-updateButtonStates();
+loadKeybindings();
+renderShortcutHint();
+renderPipButton();
+loadPreferences();
+renderPreferences();
+loadPresets();
+loadPrograms();
+startTimingWorker();
+loadState();
+ensureTimer();
+domElements.onlyOneToggle.checked = stopwatchState.onlyOneRunning;
+startLoop();
+renderTimerList();
+renderSelectedTimer();
@@ -0,0 +1,155 @@
+"use strict";
+
+/**
+ * Stopwatch Time Formatting
+ * Format patterns for displayed times, with no DOM access
+ *
+ * The page loads this as a classic script before script.js; Node (the tests)
+ * loads it as a CommonJS module.
+ */
+
+// ===== Format Patterns =====
+
+// Patterns: D days, H hours, M minutes, S seconds (HH, MM, SS zero-padded), CS hundredths,
+// MS thousandths. The largest unit takes the overflow, so "S.CS" counts total seconds.
+// Anything in [brackets] is hidden while its units are zero, unless a larger bracketed unit
+// shows ("[HH:][MM:]SS" gives 05, 01:05 and 01:00:05). Other characters are literal.
+const FORMAT_PRESETS = {
+  standard: "HH:MM:SS.CS",
+  milliseconds: "HH:MM:SS.MS",
+  compact: "[HH:]MM:SS.CS",
+  seconds: "S.CS",
+  days: "[Dd ]HH:MM:SS.CS",
+};
+
+const FORMAT_TOKENS = {
+  HH: { size: 3600000, width: 2 },
+  MM: { size: 60000, width: 2 },
+  SS: { size: 1000, width: 2 },
+  CS: { size: 10, width: 2, fraction: true },
+  MS: { size: 1, width: 3, fraction: true },
+  D: { size: 86400000, width: 1 },
+  H: { size: 3600000, width: 1 },
+  M: { size: 60000, width: 1 },
+  S: { size: 1000, width: 1 },
+};
+
+// Parsed patterns by pattern text, and locale number formats by locale and digit count
+const compiledPatterns = new Map();
+const localeNumberFormats = new Map();
+
+// ===== Time Formatting =====
+
+/**
+ * Parse a format pattern into literal text, unit tokens and optional [sections]
+ *
+ * Returns null for a pattern without units or with unbalanced brackets.
+ */
+function compilePattern(pattern) {
+  if (compiledPatterns.has(pattern)) return compiledPatterns.get(pattern);
+
+  const tokenPattern = new RegExp(`^(${Object.keys(FORMAT_TOKENS).join("|")})`);
+  const root = [];
+  let parts = root;
+  let hasUnit = false;
+  let index = 0;
+
+  while (index < pattern.length) {
+    const rest = pattern.slice(index);
+    const token = rest.match(tokenPattern);
+
+    if (token) {
+      parts.push({ token: token[1] });
+      hasUnit = true;
+      index += token[1].length;
+    } else if (rest[0] === "[") {
+      if (parts !== root) return null;
+      parts = [];
+      root.push({ optional: parts });
+      index++;
+    } else if (rest[0] === "]") {
+      if (parts === root) return null;
+      parts = root;
+      index++;
+    } else {
+      parts.push({ text: rest[0] });
+      index++;
+    }
+  }
+
+  const compiled = hasUnit && parts === root ? root : null;
+  compiledPatterns.set(pattern, compiled);
+  return compiled;
+}
+
+/**
+ * Get the Intl number format for a locale (undefined for the browser's) and digit count
+ */
+function getLocaleNumberFormat(locale, width) {
+  const key = `${locale || ""}|${width}`;
+
+  if (!localeNumberFormats.has(key)) {
+    localeNumberFormats.set(key, new Intl.NumberFormat(locale, { minimumIntegerDigits: width, useGrouping: false }));
+  }
+  return localeNumberFormats.get(key);
+}
+
+/**
+ * Format milliseconds with a pattern, e.g. "HH:MM:SS.CS" → "01:02:03.45"
+ *
+ * Time is cut (not rounded) to the smallest unit in the pattern. An invalid pattern
+ * falls back to the standard one. With useLocale, digits and the decimal separator
+ * follow the browser's locale, or the locale tag given instead of true.
+ */
+function formatTime(milliseconds, pattern = FORMAT_PRESETS.standard, useLocale = false) {
+  const parts = compilePattern(pattern) || compilePattern(FORMAT_PRESETS.standard);
+  const tokens = parts.flatMap((part) => part.optional || [part]).filter((part) => part.token);
+  const sizes = tokens.map(({ token }) => FORMAT_TOKENS[token]);
+
+  const smallest = Math.min(...sizes.map(({ size }) => size));
+  const total = Math.floor(Math.max(milliseconds, 0) / smallest) * smallest;
+  const largest = Math.max(...sizes.filter(({ fraction }) => !fraction).map(({ size }) => size), 1000);
+
+  // Each whole unit is what's left after the next larger unit in the pattern
+  const getValue = ({ size, fraction }) => {
+    if (fraction) return Math.floor((total % 1000) / size);
+    if (size === largest) return Math.floor(total / size);
+
+    const larger = Math.min(...sizes.filter((other) => !other.fraction && other.size > size).map((other) => other.size));
+    return Math.floor((total % larger) / size);
+  };
+
+  const locale = typeof useLocale === "string" ? useLocale : undefined;
+  const decimalSeparator = useLocale
+    ? new Intl.NumberFormat(locale).formatToParts(0.5).find(({ type }) => type === "decimal").value
+    : ".";
+  const formatNumber = (value, width) => {
+    if (!useLocale) return String(value).padStart(width, "0");
+    return getLocaleNumberFormat(locale, width).format(value);
+  };
+
+  const render = (part) => {
+    if (part.text) return part.text === "." ? decimalSeparator : part.text;
+    return formatNumber(getValue(FORMAT_TOKENS[part.token]), FORMAT_TOKENS[part.token].width);
+  };
+
+  // Once an optional section shows, the smaller ones must too, or 1 h 0 min 5 s
+  // would read like 1 min 5 s
+  const getLargestSize = (section) => Math.max(...section.filter((item) => item.token)
+    .map(({ token }) => FORMAT_TOKENS[token].size));
+  const sections = parts.filter((part) => part.optional && part.optional.some((item) => item.token));
+  const shownSize = Math.max(0, ...sections
+    .filter((part) => part.optional.some(({ token }) => token && getValue(FORMAT_TOKENS[token]) > 0))
+    .map((part) => getLargestSize(part.optional)));
+
+  return parts.map((part) => {
+    if (!part.optional) return render(part);
+
+    const isShown = sections.includes(part) && getLargestSize(part.optional) <= shownSize;
+    return isShown ? part.optional.map(render).join("") : "";
+  }).join("");
+}
+
+if (typeof module === "object" && module.exports) {
+  module.exports = { FORMAT_PRESETS, FORMAT_TOKENS, compilePattern, formatTime };
+}
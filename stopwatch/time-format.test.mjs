@@ -0,0 +1,125 @@
+/**
+ * Stopwatch Time Formatting Tests
+ * Run with: node --test stopwatch/
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { FORMAT_PRESETS, compilePattern, formatTime } from "./time-format.js";
+
+// 1 day, 2 h, 2 min, 3.456 s
+const LONG_RUN = ((26 * 3600 + 2 * 60 + 3) * 1000) + 456;
+
+// ===== Presets =====
+
+test("formats every preset", () => {
+  const expected = {
+    standard: ["26:02:03.45", "00:01:01.23", "00:00:00.00"],
+    milliseconds: ["26:02:03.456", "00:01:01.234", "00:00:00.000"],
+    compact: ["26:02:03.45", "01:01.23", "00:00.00"],
+    seconds: ["93723.45", "61.23", "0.00"],
+    days: ["1d 02:02:03.45", "00:01:01.23", "00:00:00.00"],
+  };
+
+  assert.deepEqual(Object.keys(FORMAT_PRESETS).sort(), Object.keys(expected).sort());
+  Object.entries(expected).forEach(([preset, [long, short, zero]]) => {
+    const pattern = FORMAT_PRESETS[preset];
+    assert.equal(formatTime(LONG_RUN, pattern), long, preset);
+    assert.equal(formatTime(61234, pattern), short, preset);
+    assert.equal(formatTime(0, pattern), zero, preset);
+  });
+});
+
+test("uses the standard preset by default", () => {
+  assert.equal(formatTime(61234), "00:01:01.23");
+});
+
+test("cuts time to the smallest unit instead of rounding", () => {
+  assert.equal(formatTime(999, "SS"), "00");
+  assert.equal(formatTime(1999, "SS.CS"), "01.99");
+});
+
+test("shows negative times as zero", () => {
+  assert.equal(formatTime(-500), "00:00:00.00");
+});
+
+// ===== Optional Sections =====
+
+test("hides an optional section while its units are zero", () => {
+  assert.equal(formatTime(5000, "[HH:][MM:]SS"), "05");
+  assert.equal(formatTime(65000, "[HH:][MM:]SS"), "01:05");
+  assert.equal(formatTime(3665000, "[HH:][MM:]SS"), "01:01:05");
+});
+
+test("shows every smaller optional section once a larger one shows", () => {
+  // 1 h 0 min 5 s must not read like 1 min 5 s
+  assert.equal(formatTime(3605000, "[HH:][MM:]SS"), "01:00:05");
+  assert.equal(formatTime(86400000 + 5000, "[Dd ][HH:][MM:]SS"), "1d 00:00:05");
+  assert.equal(formatTime(86400000 + 60000, "[Dd ][HH:]MM:SS"), "1d 00:01:00");
+  assert.equal(formatTime(3600000 + 5, "[HH:][MM:]SS[.MS]"), "01:00:00.005");
+  assert.equal(formatTime(3600000, "[HH:][MM:]SS[.MS]"), "01:00:00.000");
+});
+
+test("keeps hiding optional sections larger than the shown ones", () => {
+  assert.equal(formatTime(60000, "[Dd ][HH:][MM:]SS"), "01:00");
+  assert.equal(formatTime(5, "[HH:][MM:]SS[.MS]"), "00.005");
+});
+
+test("shows days only once a run passes a day", () => {
+  assert.equal(formatTime(3600000, "[Dd ]HH:MM"), "01:00");
+  assert.equal(formatTime(86400000 + 3600000, "[Dd ]HH:MM"), "1d 01:00");
+});
+
+test("keeps the literal text inside a shown optional section", () => {
+  assert.equal(formatTime(LONG_RUN, "[D days, ]H:MM"), "1 days, 2:02");
+});
+
+// ===== Overflow =====
+
+test("lets the largest unit in the pattern take the overflow", () => {
+  assert.equal(formatTime(LONG_RUN, "S.CS"), "93723.45");
+  assert.equal(formatTime(LONG_RUN, "M:SS"), "1562:03");
+  assert.equal(formatTime(LONG_RUN, "H h M min"), "26 h 2 min");
+});
+
+test("counts total seconds without a larger unit, even past a day", () => {
+  assert.equal(formatTime(3 * 86400000, "S"), "259200");
+});
+
+// ===== Locale =====
+
+test("uses the locale's decimal separator and digits", () => {
+  assert.equal(formatTime(61234, "MM:SS.CS", "de-DE"), "01:01,23");
+  assert.equal(formatTime(61234, "MM:SS.CS", "en-US"), "01:01.23");
+  assert.equal(formatTime(61234, "MM:SS", "ar-EG"), "٠١:٠١");
+});
+
+test("keeps zero padding and skips grouping with a locale", () => {
+  assert.equal(formatTime(LONG_RUN, "S.MS", "en-US"), "93723.456");
+  assert.equal(formatTime(5000, "HH:MM:SS", "de-DE"), "00:00:05");
+});
+
+test("follows the default locale when useLocale is true", () => {
+  const separator = new Intl.NumberFormat().formatToParts(0.5).find(({ type }) => type === "decimal").value;
+  assert.equal(formatTime(1230, "S.CS", true), `${new Intl.NumberFormat().format(1)}${separator}${new Intl.NumberFormat(undefined, { minimumIntegerDigits: 2 }).format(23)}`);
+});
+
+// ===== Invalid Patterns =====
+
+test("rejects patterns without units or with unbalanced brackets", () => {
+  ["", "abc", "[HH", "HH]", "[[HH]]", "[HH:[MM]]"].forEach((pattern) => {
+    assert.equal(compilePattern(pattern), null, JSON.stringify(pattern));
+  });
+});
+
+test("accepts patterns with units and balanced brackets", () => {
+  ["HH:MM:SS.CS", "[HH:]MM:SS", "S", "M min S s", "[Dd ][HH:]MM"].forEach((pattern) => {
+    assert.notEqual(compilePattern(pattern), null, pattern);
+  });
+});
+
+test("falls back to the standard pattern for an invalid one", () => {
+  assert.equal(formatTime(61234, "[HH"), "00:01:01.23");
+  assert.equal(formatTime(61234, "no units"), "00:01:01.23");
+});
@@ -0,0 +1,112 @@
+"use strict";
+
+/**
+ * Stopwatch Timing Worker
+ * Keeps time for the running timers and posts their state to the page
+ *
+ * Worker timers keep firing while the tab is hidden, unlike requestAnimationFrame,
+ * so countdown alarms and interval transitions go off on time in the background.
+ * The page renders the elapsed and remaining times posted here, and only works
+ * them out itself when the worker can't start.
+ */
+
+// ===== Worker State =====
+const HEARTBEAT_INTERVAL = 1000;   // Longest gap between posts while a timer runs
+
+const workerState = {
+  timers: [],                      // { id, isRunning, accumulatedTime, startedAt, events, countdownDuration, segmentEnds } from the page
+  interval: HEARTBEAT_INTERVAL,    // Gap between posts the page asked for (short while it draws every frame)
+  generation: 0,                   // Sync count from the page, echoed so it can drop posts from before a sync
+  timeoutId: 0,
+};
+
+// ===== Time Calculations =====
+
+/**
+ * Get the current time on the shared (epoch-based) clock
+ */
+function now() {
+  return performance.timeOrigin + performance.now();
+}
+
+/**
+ * Get a timer's elapsed time in milliseconds
+ */
+function getElapsedTime({ isRunning, accumulatedTime, startedAt }, time) {
+  return isRunning ? accumulatedTime + (time - startedAt) : accumulatedTime;
+}
+
+/**
+ * Get the time left on a countdown (negative in overtime) or in the current
+ * interval segment, or null for a plain stopwatch
+ */
+function getRemainingTime({ countdownDuration, segmentEnds }, elapsed) {
+  if (countdownDuration !== null) return countdownDuration - elapsed;
+  if (segmentEnds === null) return null;
+
+  const segmentEnd = segmentEnds.find((end) => end > elapsed);
+  return segmentEnd === undefined ? 0 : segmentEnd - elapsed;
+}
+
+/**
+ * Get the ms until the next event of any running timer (or the next post, if sooner)
+ */
+function getNextDelay(time) {
+  return workerState.timers.reduce((delay, timer) => {
+    if (!timer.isRunning) return delay;
+
+    const elapsed = getElapsedTime(timer, time);
+    const next = timer.events.find((event) => event > elapsed);
+    return next === undefined ? delay : Math.min(delay, next - elapsed);
+  }, workerState.interval);
+}
+
+// ===== Scheduling =====
+
+/**
+ * Post every running timer's elapsed and remaining time to the page
+ */
+function tick() {
+  const time = now();
+  const running = workerState.timers.filter((timer) => timer.isRunning);
+
+  if (running.length) {
+    self.postMessage({
+      type: "state",
+      generation: workerState.generation,
+      timers: running.map((timer) => {
+        const elapsed = getElapsedTime(timer, time);
+        return { id: timer.id, elapsed, remaining: getRemainingTime(timer, elapsed) };
+      }),
+    });
+  }
+  schedule();
+}
+
+/**
+ * Sleep until the next event or post is due, or stop while nothing is running
+ */
+function schedule() {
+  clearTimeout(workerState.timeoutId);
+  workerState.timeoutId = 0;
+
+  if (!workerState.timers.some((timer) => timer.isRunning)) return;
+
+  // Timeouts can run a little early; the extra ms makes sure the event is due on wake
+  workerState.timeoutId = setTimeout(tick, Math.max(getNextDelay(now()), 0) + 1);
+}
+
+// ===== Messages =====
+
+self.addEventListener("message", (event) => {
+  const { type, generation, timers, interval } = event.data;
+
+  if (type === "sync" && Array.isArray(timers)) {
+    workerState.timers = timers;
+    workerState.generation = generation;
+    workerState.interval = interval > 0 ? interval : HEARTBEAT_INTERVAL;
+
+    // Post straight away so the page has readings for the new state without waiting
+    tick();
+  }
+});